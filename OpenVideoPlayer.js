@@ -21,9 +21,10 @@ class OpenVideoPlayerUtils {
      * @param element {EventTarget}
      * @param listenerNames {string[]}
      * @param listener {function}
+     * @param options {AddEventListenerOptions|undefined}
      */
-    static addEventListeners(element, listenerNames, listener) {
-        listenerNames.forEach(name => element.addEventListener(name, listener))
+    static addEventListeners(element, listenerNames, listener, options) {
+        listenerNames.forEach(name => element.addEventListener(name, listener, options))
     }
 
     /**
@@ -37,6 +38,33 @@ class OpenVideoPlayerUtils {
         return Math.max(leftBoundary, Math.min(x, rightBoundary))
     }
 
+    /**
+     * Formats a time in seconds as m:ss, or h:mm:ss for times over an hour
+     * @param seconds {number}
+     * @param withHours {boolean} Use h:mm:ss even for shorter times, so they match a long duration
+     * @returns {string}
+     */
+    static formatTime(seconds, withHours = false) {
+        seconds = Math.max(0, Math.floor(seconds || 0))
+        const hours = Math.floor(seconds / 3600)
+        const minutes = Math.floor(seconds % 3600 / 60)
+        const pad = x => String(x).padStart(2, "0")
+        if (hours > 0 || withHours) return `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+        return `${minutes}:${pad(seconds % 60)}`
+    }
+
+    /**
+     * Parses a time written as m:ss or h:mm:ss, the opposite of formatTime
+     * @param text {string}
+     * @returns {number} In seconds, NaN if it isn't a time
+     */
+    static parseTime(text) {
+        if (!/^(\d+:)?\d{1,2}:\d{2}$/.test(text)) return NaN
+        const parts = text.split(":").map(Number)
+        if (parts.slice(1).some(part => part > 59)) return NaN
+        return parts.reduce((seconds, part) => seconds * 60 + part, 0)
+    }
+
     /**
      * @type {Map<HTMLElement, ResizeObserver>}
      */
@@ -57,6 +85,18 @@ class OpenVideoPlayerUtils {
         this.#setCSSSizeHandler(element)
     }
 
+    /**
+     * Removes the resize listeners of the element and the elements inside it
+     * @param root {HTMLElement}
+     */
+    static removeCSSSize(root) {
+        for (const [element, resizeObserver] of this.#CSSSizeObservers) {
+            if (!root.contains(element)) continue
+            resizeObserver.disconnect()
+            this.#CSSSizeObservers.delete(element)
+        }
+    }
+
     /**
      * @param element {HTMLElement}
      */
@@ -68,17 +108,29 @@ class OpenVideoPlayerUtils {
 
     /**
      * @param url {URL}
+     * @param locale {OpenVideoPlayerLocale} The language of the confirmation for unknown protocols
      */
-    static openLinkInNewTab(url) {
+    static openLinkInNewTab(url, locale = new OpenVideoPlayerLocale("en")) {
         if (url.protocol === "javascript:") return // No XSS!!!
         if (!["http:", "https:"].includes(url.protocol)) {
-            const allow = confirm(`Attempted to open an invalid URL\nYou were protected from a potentially malicious URL with an unknown protocol - ${url.protocol}\nTarget URL:\n${url.toString()}\nOpen?`)
+            const allow = confirm(locale.message("link.confirm", {protocol: url.protocol, url: url.toString()}))
             if (!allow) return
         }
         // See https://developer.mozilla.org/en-US/docs/Web/API/Window/open#noreferrer for more info
         window.open(url, "_blank", "noreferrer")
     }
 
+    /**
+     * @returns {Storage|null} Null if it's blocked, accessing it throws then (like in sandboxed frames)
+     */
+    static localStorage() {
+        try {
+            return window.localStorage
+        } catch (e) {
+            return null
+        }
+    }
+
     static {
         document.addEventListener("DOMContentLoaded", () => {
             for (let element of this.#CSSSizeObservers.keys()) {
@@ -129,20 +181,601 @@ class OpenVideoPlayerUtils {
     }
 }
 
-class OpenVideoPlayerStyle {
-    static #THEMES = new Set(["light", "dark"])
+class OpenVideoPlayerLocale {
+    /**
+     * The message catalogues by their language tags. Missing messages are taken from the base language (cs for cs-CZ)
+     * and then from English.
+     * @type {Map<string, Object<string, string|Object<string, string>>>}
+     */
+    static MESSAGES = new Map()
+    /**
+     * Languages written from right to left, for browsers that can't tell it through Intl.Locale
+     * @type {string[]}
+     */
+    static RTL_LANGUAGES = ["ar", "arc", "dv", "fa", "he", "ku", "ps", "sd", "ug", "ur", "yi"]
+
+    /**
+     * Adds messages to a language's catalogue, replacing the ones with the same keys
+     * @param language {string} A language tag, like "cs" or "pt-BR"
+     * @param messages {Object<string, string|Object<string, string>>} See message()
+     */
+    static registerMessages(language, messages) {
+        language = Intl.getCanonicalLocales(language)[0]
+        const catalogue = OpenVideoPlayerLocale.MESSAGES.get(language) ?? {}
+        OpenVideoPlayerLocale.MESSAGES.set(language, Object.assign(catalogue, messages))
+    }
+
+    /**
+     * @type {string}
+     */
+    #language
+    /**
+     * The catalogues messages are looked up in, in order
+     * @type {string[]}
+     */
+    #lookup
+    /**
+     * @type {Intl.PluralRules}
+     */
+    #pluralRules
+    /**
+     * The number formats by their options, creating them is slow
+     * @type {Map<string, Intl.NumberFormat>}
+     */
+    #numberFormats
+
+    /**
+     * @param language {string|undefined} A language tag, the browser's language by default
+     */
+    constructor(language = navigator.language || "en") {
+        this.#language = Intl.getCanonicalLocales(language)[0]
+        this.#lookup = [...new Set([this.#language, new Intl.Locale(this.#language).language, "en"])]
+        this.#pluralRules = new Intl.PluralRules(this.#language)
+        this.#numberFormats = new Map()
+    }
+
+    /**
+     * Gets a message with the {name} placeholders replaced by the params, numbers are formatted. A message that depends
+     * on a count is an object with a message for each plural category of the language (one, few, other, ...), picked by
+     * params.count. Unknown keys are returned as they are.
+     * @param key {string}
+     * @param params {Object<string, string|number>}
+     * @returns {string}
+     */
+    message(key, params = {}) {
+        let message = key
+        for (const language of this.#lookup) {
+            const catalogue = OpenVideoPlayerLocale.MESSAGES.get(language)
+            if (catalogue && key in catalogue) {
+                message = catalogue[key]
+                break
+            }
+        }
+        if (typeof message === "object") message = message[this.#pluralRules.select(params.count ?? 0)] ?? message.other
+        return message.replace(/\{(\w+)}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder
+            return typeof params[name] === "number" ? this.formatNumber(params[name]) : params[name]
+        })
+    }
+
+    /**
+     * @param number {number}
+     * @param options {Intl.NumberFormatOptions}
+     * @returns {string}
+     */
+    formatNumber(number, options = {}) {
+        const key = JSON.stringify(options)
+        if (!this.#numberFormats.has(key)) this.#numberFormats.set(key, new Intl.NumberFormat(this.#language, options))
+        return this.#numberFormats.get(key).format(number)
+    }
+
+    /**
+     * @param date {Date}
+     * @returns {string}
+     */
+    formatDate(date) {
+        return date.toLocaleDateString(this.#language, {year: "numeric", month: "long", day: "numeric"})
+    }
+
+    /**
+     * @param ratio {number} 1 is 100%
+     * @returns {string}
+     */
+    formatPercent(ratio) {
+        return this.formatNumber(ratio, {style: "percent", maximumFractionDigits: 0})
+    }
+
+    /**
+     * Formats a time in seconds like OpenVideoPlayerUtils.formatTime, with the language's digits
+     * @param seconds {number}
+     * @param withHours {boolean} Use h:mm:ss even for shorter times, so they match a long duration
+     * @returns {string}
+     */
+    formatTime(seconds, withHours = false) {
+        seconds = Math.max(0, Math.floor(seconds || 0))
+        const hours = Math.floor(seconds / 3600)
+        const minutes = Math.floor(seconds % 3600 / 60)
+        const number = x => this.formatNumber(x, {useGrouping: false})
+        const pad = x => this.formatNumber(x, {minimumIntegerDigits: 2, useGrouping: false})
+        if (hours > 0 || withHours) return `${number(hours)}:${pad(minutes)}:${pad(seconds % 60)}`
+        return `${number(minutes)}:${pad(seconds % 60)}`
+    }
+
+    /**
+     * @returns {string}
+     */
+    get language() {
+        return this.#language
+    }
+
+    /**
+     * @returns {"ltr"|"rtl"}
+     */
+    get direction() {
+        const locale = new Intl.Locale(this.#language)
+        const textInfo = locale.getTextInfo?.() ?? locale.textInfo // The property is the older proposal
+        if (textInfo?.direction) return textInfo.direction
+        return OpenVideoPlayerLocale.RTL_LANGUAGES.includes(locale.language) ? "rtl" : "ltr"
+    }
+
+    static {
+        OpenVideoPlayerLocale.registerMessages("en", {
+            "video.unsupported": "Your browser does not support the video tag.",
+            "link.confirm": "Attempted to open an invalid URL\nYou were protected from a potentially malicious URL with an unknown protocol - {protocol}\nTarget URL:\n{url}\nOpen?",
+            "time.forward": {one: "+ {count} second", other: "+ {count} seconds"},
+            "time.back": {one: "- {count} second", other: "- {count} seconds"},
+            "live": "LIVE",
+            "ad.badge": "Ad {index} of {count}",
+            "ad.skip": "Skip ad",
+            "ad.skipIn": "Skip in {count}",
+            "ad.visit": "Visit advertiser",
+            "endScreen.upNext": "Up next",
+            "endScreen.upNextIn": "Up next in {count}",
+            "endScreen.cancel": "Cancel",
+            "error.1": "Loading the video was aborted.",
+            "error.2": "The video couldn't be loaded because of a network error. Check your connection and try again.",
+            "error.3": "The video is damaged or uses features your browser doesn't support.",
+            "error.4": "The video isn't available or its format isn't supported by your browser.",
+            "error.retry": "Try again",
+            "settings.speed": "Playback speed",
+            "settings.speedNormal": "Normal",
+            "settings.speedCustom": "Custom",
+            "settings.preservePitch": "Preserve pitch",
+            "settings.quality": "Quality",
+            "settings.qualityAuto": "Auto",
+            "settings.qualityAutoActive": "Auto ({quality})",
+            "settings.captions": "Subtitles/CC",
+            "settings.captionsOff": "Off",
+            "settings.captionSize": "Caption size",
+            "settings.captionColor": "Caption color",
+            "settings.captionBackground": "Caption background",
+            "color.white": "White",
+            "color.yellow": "Yellow",
+            "color.green": "Green",
+            "color.cyan": "Cyan",
+            "color.blue": "Blue",
+            "color.magenta": "Magenta",
+            "color.red": "Red",
+            "color.black": "Black",
+            "button.play": "Play",
+            "button.pause": "Pause",
+            "button.mute": "Mute",
+            "button.unmute": "Unmute",
+            "button.fullscreen": "Full screen",
+            "button.exitFullscreen": "Exit full screen",
+            "button.settings": "Settings",
+            "button.captions": "Subtitles/CC",
+            "button.previous": "Previous",
+            "button.next": "Next",
+            "button.pictureInPicture": "Picture-in-picture",
+            "button.exitPictureInPicture": "Exit picture-in-picture",
+            "button.expand": "Expand",
+            "button.close": "Close",
+            "slider.time": "Seek slider",
+            "slider.timeValue": "{time} of {duration}",
+            "slider.volume": "Volume",
+            "announce.volume": "Volume {volume}",
+            "announce.muted": "Muted",
+            "announce.speed": "Speed {speed}",
+            "resume.resume": "Resume from {time}",
+            "resume.startOver": "Start over",
+            "description.views": {one: "{count} view", other: "{count} views"},
+            "button.share": "Share",
+            "share.title": "Share",
+            "share.startAt": "Start at {time}",
+            "share.copy": "Copy",
+            "share.copied": "Copied",
+            "share.embed": "Embed",
+            "share.autoplay": "Autoplay",
+            "share.controls": "Show controls",
+            "shortcuts.title": "Keyboard shortcuts",
+            "action.togglePaused": "Play/pause",
+            "action.seekBack10": "Back 10 seconds",
+            "action.seekForward10": "Forward 10 seconds",
+            "action.seekBack5": "Back 5 seconds",
+            "action.seekForward5": "Forward 5 seconds",
+            "action.previousChapter": "Previous chapter",
+            "action.nextChapter": "Next chapter",
+            "action.seekToStart": "Go to the start",
+            "action.seekToEnd": "Go to the end",
+            "action.seekToPercentage": "Go to 0% - 90%",
+            "action.volumeUp": "Volume up",
+            "action.volumeDown": "Volume down",
+            "action.toggleMuted": "Mute/unmute",
+            "action.toggleFullscreen": "Fullscreen",
+            "action.toggleCaptions": "Subtitles/CC",
+            "action.slower": "Slower",
+            "action.faster": "Faster",
+            "action.previousVideo": "Previous video",
+            "action.nextVideo": "Next video",
+            "action.showShortcuts": "Keyboard shortcuts"
+        })
+        OpenVideoPlayerLocale.registerMessages("cs", {
+            "video.unsupported": "Váš prohlížeč nepodporuje přehrávání videa.",
+            "link.confirm": "Pokus o otevření neplatné adresy URL\nByli jste ochráněni před potenciálně nebezpečnou adresou s neznámým protokolem - {protocol}\nCílová adresa:\n{url}\nOtevřít?",
+            "time.forward": {one: "+ {count} sekunda", few: "+ {count} sekundy", many: "+ {count} sekundy", other: "+ {count} sekund"},
+            "time.back": {one: "- {count} sekunda", few: "- {count} sekundy", many: "- {count} sekundy", other: "- {count} sekund"},
+            "live": "ŽIVĚ",
+            "ad.badge": "Reklama {index} z {count}",
+            "ad.skip": "Přeskočit reklamu",
+            "ad.skipIn": "Přeskočit za {count}",
+            "ad.visit": "Navštívit inzerenta",
+            "endScreen.upNext": "Další video",
+            "endScreen.upNextIn": "Další video za {count}",
+            "endScreen.cancel": "Zrušit",
+            "error.1": "Načítání videa bylo přerušeno.",
+            "error.2": "Video se nepodařilo načíst kvůli chybě sítě. Zkontrolujte připojení a zkuste to znovu.",
+            "error.3": "Video je poškozené nebo používá funkce, které váš prohlížeč nepodporuje.",
+            "error.4": "Video není dostupné nebo jeho formát váš prohlížeč nepodporuje.",
+            "error.retry": "Zkusit znovu",
+            "settings.speed": "Rychlost přehrávání",
+            "settings.speedNormal": "Normální",
+            "settings.speedCustom": "Vlastní",
+            "settings.preservePitch": "Zachovat výšku tónu",
+            "settings.quality": "Kvalita",
+            "settings.qualityAuto": "Automaticky",
+            "settings.qualityAutoActive": "Automaticky ({quality})",
+            "settings.captions": "Titulky",
+            "settings.captionsOff": "Vypnuto",
+            "settings.captionSize": "Velikost titulků",
+            "settings.captionColor": "Barva titulků",
+            "settings.captionBackground": "Pozadí titulků",
+            "color.white": "Bílá",
+            "color.yellow": "Žlutá",
+            "color.green": "Zelená",
+            "color.cyan": "Azurová",
+            "color.blue": "Modrá",
+            "color.magenta": "Purpurová",
+            "color.red": "Červená",
+            "color.black": "Černá",
+            "button.play": "Přehrát",
+            "button.pause": "Pozastavit",
+            "button.mute": "Ztlumit",
+            "button.unmute": "Zrušit ztlumení",
+            "button.fullscreen": "Celá obrazovka",
+            "button.exitFullscreen": "Ukončit režim celé obrazovky",
+            "button.settings": "Nastavení",
+            "button.captions": "Titulky",
+            "button.previous": "Předchozí",
+            "button.next": "Další",
+            "button.pictureInPicture": "Obraz v obraze",
+            "button.exitPictureInPicture": "Ukončit obraz v obraze",
+            "button.expand": "Rozbalit",
+            "button.close": "Zavřít",
+            "slider.time": "Posuvník přehrávání",
+            "slider.timeValue": "{time} z {duration}",
+            "slider.volume": "Hlasitost",
+            "announce.volume": "Hlasitost {volume}",
+            "announce.muted": "Ztlumeno",
+            "announce.speed": "Rychlost {speed}",
+            "resume.resume": "Pokračovat od {time}",
+            "resume.startOver": "Začít znovu",
+            "description.views": "{count} zhlédnutí",
+            "button.share": "Sdílet",
+            "share.title": "Sdílet",
+            "share.startAt": "Začít v {time}",
+            "share.copy": "Kopírovat",
+            "share.copied": "Zkopírováno",
+            "share.embed": "Vložit",
+            "share.autoplay": "Automatické přehrávání",
+            "share.controls": "Zobrazit ovládací prvky",
+            "shortcuts.title": "Klávesové zkratky",
+            "action.togglePaused": "Přehrát/pozastavit",
+            "action.seekBack10": "Zpět o 10 sekund",
+            "action.seekForward10": "Vpřed o 10 sekund",
+            "action.seekBack5": "Zpět o 5 sekund",
+            "action.seekForward5": "Vpřed o 5 sekund",
+            "action.previousChapter": "Předchozí kapitola",
+            "action.nextChapter": "Další kapitola",
+            "action.seekToStart": "Na začátek",
+            "action.seekToEnd": "Na konec",
+            "action.seekToPercentage": "Přejít na 0 % - 90 %",
+            "action.volumeUp": "Zesílit",
+            "action.volumeDown": "Zeslabit",
+            "action.toggleMuted": "Ztlumit/zrušit ztlumení",
+            "action.toggleFullscreen": "Celá obrazovka",
+            "action.toggleCaptions": "Titulky",
+            "action.slower": "Pomaleji",
+            "action.faster": "Rychleji",
+            "action.previousVideo": "Předchozí video",
+            "action.nextVideo": "Další video",
+            "action.showShortcuts": "Klávesové zkratky"
+        })
+        OpenVideoPlayerLocale.registerMessages("de", {
+            "video.unsupported": "Dieser Browser unterstützt keine Videos.",
+            "link.confirm": "Es wurde versucht, eine ungültige URL zu öffnen\nEine möglicherweise schädliche URL mit unbekanntem Protokoll wurde blockiert - {protocol}\nZiel-URL:\n{url}\nÖffnen?",
+            "time.forward": {one: "+ {count} Sekunde", other: "+ {count} Sekunden"},
+            "time.back": {one: "- {count} Sekunde", other: "- {count} Sekunden"},
+            "live": "LIVE",
+            "ad.badge": "Werbung {index} von {count}",
+            "ad.skip": "Werbung überspringen",
+            "ad.skipIn": "Überspringen in {count}",
+            "ad.visit": "Werbetreibenden besuchen",
+            "endScreen.upNext": "Nächstes Video",
+            "endScreen.upNextIn": "Nächstes Video in {count}",
+            "endScreen.cancel": "Abbrechen",
+            "error.1": "Das Laden des Videos wurde abgebrochen.",
+            "error.2": "Das Video konnte wegen eines Netzwerkfehlers nicht geladen werden. Bitte die Verbindung prüfen und erneut versuchen.",
+            "error.3": "Das Video ist beschädigt oder nutzt Funktionen, die dieser Browser nicht unterstützt.",
+            "error.4": "Das Video ist nicht verfügbar oder sein Format wird von diesem Browser nicht unterstützt.",
+            "error.retry": "Erneut versuchen",
+            "settings.speed": "Wiedergabegeschwindigkeit",
+            "settings.speedNormal": "Standard",
+            "settings.speedCustom": "Benutzerdefiniert",
+            "settings.preservePitch": "Tonhöhe beibehalten",
+            "settings.quality": "Qualität",
+            "settings.qualityAuto": "Automatisch",
+            "settings.qualityAutoActive": "Automatisch ({quality})",
+            "settings.captions": "Untertitel",
+            "settings.captionsOff": "Aus",
+            "settings.captionSize": "Untertitelgröße",
+            "settings.captionColor": "Untertitelfarbe",
+            "settings.captionBackground": "Untertitelhintergrund",
+            "color.white": "Weiß",
+            "color.yellow": "Gelb",
+            "color.green": "Grün",
+            "color.cyan": "Cyan",
+            "color.blue": "Blau",
+            "color.magenta": "Magenta",
+            "color.red": "Rot",
+            "color.black": "Schwarz",
+            "button.play": "Wiedergeben",
+            "button.pause": "Pausieren",
+            "button.mute": "Stummschalten",
+            "button.unmute": "Stummschaltung aufheben",
+            "button.fullscreen": "Vollbild",
+            "button.exitFullscreen": "Vollbild beenden",
+            "button.settings": "Einstellungen",
+            "button.captions": "Untertitel",
+            "button.previous": "Zurück",
+            "button.next": "Weiter",
+            "button.pictureInPicture": "Bild-im-Bild",
+            "button.exitPictureInPicture": "Bild-im-Bild beenden",
+            "button.expand": "Maximieren",
+            "button.close": "Schließen",
+            "slider.time": "Wiedergabeposition",
+            "slider.timeValue": "{time} von {duration}",
+            "slider.volume": "Lautstärke",
+            "announce.volume": "Lautstärke {volume}",
+            "announce.muted": "Stumm",
+            "announce.speed": "Geschwindigkeit {speed}",
+            "resume.resume": "Fortsetzen ab {time}",
+            "resume.startOver": "Von vorne beginnen",
+            "description.views": {one: "{count} Aufruf", other: "{count} Aufrufe"},
+            "button.share": "Teilen",
+            "share.title": "Teilen",
+            "share.startAt": "Starten bei {time}",
+            "share.copy": "Kopieren",
+            "share.copied": "Kopiert",
+            "share.embed": "Einbetten",
+            "share.autoplay": "Automatische Wiedergabe",
+            "share.controls": "Steuerelemente anzeigen",
+            "shortcuts.title": "Tastenkombinationen",
+            "action.togglePaused": "Wiedergabe/Pause",
+            "action.seekBack10": "10 Sekunden zurück",
+            "action.seekForward10": "10 Sekunden vor",
+            "action.seekBack5": "5 Sekunden zurück",
+            "action.seekForward5": "5 Sekunden vor",
+            "action.previousChapter": "Vorheriges Kapitel",
+            "action.nextChapter": "Nächstes Kapitel",
+            "action.seekToStart": "Zum Anfang",
+            "action.seekToEnd": "Zum Ende",
+            "action.seekToPercentage": "Zu 0 % - 90 % springen",
+            "action.volumeUp": "Lauter",
+            "action.volumeDown": "Leiser",
+            "action.toggleMuted": "Stummschalten/Ton an",
+            "action.toggleFullscreen": "Vollbild",
+            "action.toggleCaptions": "Untertitel",
+            "action.slower": "Langsamer",
+            "action.faster": "Schneller",
+            "action.previousVideo": "Vorheriges Video",
+            "action.nextVideo": "Nächstes Video",
+            "action.showShortcuts": "Tastenkombinationen"
+        })
+        OpenVideoPlayerLocale.registerMessages("ar", {
+            "video.unsupported": "متصفحك لا يدعم تشغيل الفيديو.",
+            "link.confirm": "محاولة فتح عنوان URL غير صالح\nتمت حمايتك من عنوان قد يكون ضارًا ببروتوكول غير معروف - {protocol}\nالعنوان المستهدف:\n{url}\nهل تريد فتحه؟",
+            "time.forward": {zero: "+ {count} ثانية", one: "+ ثانية واحدة", two: "+ ثانيتان", few: "+ {count} ثوانٍ", many: "+ {count} ثانية", other: "+ {count} ثانية"},
+            "time.back": {zero: "- {count} ثانية", one: "- ثانية واحدة", two: "- ثانيتان", few: "- {count} ثوانٍ", many: "- {count} ثانية", other: "- {count} ثانية"},
+            "live": "مباشر",
+            "ad.badge": "الإعلان {index} من {count}",
+            "ad.skip": "تخطي الإعلان",
+            "ad.skipIn": "التخطي بعد {count}",
+            "ad.visit": "زيارة المعلن",
+            "endScreen.upNext": "التالي",
+            "endScreen.upNextIn": "التالي بعد {count}",
+            "endScreen.cancel": "إلغاء",
+            "error.1": "تم إيقاف تحميل الفيديو.",
+            "error.2": "تعذر تحميل الفيديو بسبب خطأ في الشبكة. تحقق من اتصالك وحاول مرة أخرى.",
+            "error.3": "الفيديو تالف أو يستخدم ميزات لا يدعمها متصفحك.",
+            "error.4": "الفيديو غير متاح أو أن متصفحك لا يدعم تنسيقه.",
+            "error.retry": "إعادة المحاولة",
+            "settings.speed": "سرعة التشغيل",
+            "settings.speedNormal": "عادية",
+            "settings.speedCustom": "مخصصة",
+            "settings.preservePitch": "الحفاظ على طبقة الصوت",
+            "settings.quality": "الجودة",
+            "settings.qualityAuto": "تلقائي",
+            "settings.qualityAutoActive": "تلقائي ({quality})",
+            "settings.captions": "الترجمة",
+            "settings.captionsOff": "إيقاف",
+            "settings.captionSize": "حجم الترجمة",
+            "settings.captionColor": "لون الترجمة",
+            "settings.captionBackground": "خلفية الترجمة",
+            "color.white": "أبيض",
+            "color.yellow": "أصفر",
+            "color.green": "أخضر",
+            "color.cyan": "سماوي",
+            "color.blue": "أزرق",
+            "color.magenta": "أرجواني",
+            "color.red": "أحمر",
+            "color.black": "أسود",
+            "button.play": "تشغيل",
+            "button.pause": "إيقاف مؤقت",
+            "button.mute": "كتم الصوت",
+            "button.unmute": "إلغاء كتم الصوت",
+            "button.fullscreen": "ملء الشاشة",
+            "button.exitFullscreen": "الخروج من ملء الشاشة",
+            "button.settings": "الإعدادات",
+            "button.captions": "الترجمة",
+            "button.previous": "السابق",
+            "button.next": "التالي",
+            "button.pictureInPicture": "صورة داخل صورة",
+            "button.exitPictureInPicture": "الخروج من صورة داخل صورة",
+            "button.expand": "توسيع",
+            "button.close": "إغلاق",
+            "slider.time": "شريط التقدم",
+            "slider.timeValue": "{time} من {duration}",
+            "slider.volume": "مستوى الصوت",
+            "announce.volume": "مستوى الصوت {volume}",
+            "announce.muted": "تم كتم الصوت",
+            "announce.speed": "السرعة {speed}",
+            "resume.resume": "المتابعة من {time}",
+            "resume.startOver": "البدء من جديد",
+            "description.views": "{count} مشاهدة",
+            "button.share": "مشاركة",
+            "share.title": "مشاركة",
+            "share.startAt": "البدء عند {time}",
+            "share.copy": "نسخ",
+            "share.copied": "تم النسخ",
+            "share.embed": "تضمين",
+            "share.autoplay": "تشغيل تلقائي",
+            "share.controls": "إظهار عناصر التحكم",
+            "shortcuts.title": "اختصارات لوحة المفاتيح",
+            "action.togglePaused": "تشغيل/إيقاف مؤقت",
+            "action.seekBack10": "الرجوع 10 ثوانٍ",
+            "action.seekForward10": "التقديم 10 ثوانٍ",
+            "action.seekBack5": "الرجوع 5 ثوانٍ",
+            "action.seekForward5": "التقديم 5 ثوانٍ",
+            "action.previousChapter": "الفصل السابق",
+            "action.nextChapter": "الفصل التالي",
+            "action.seekToStart": "الانتقال إلى البداية",
+            "action.seekToEnd": "الانتقال إلى النهاية",
+            "action.seekToPercentage": "الانتقال إلى 0% - 90%",
+            "action.volumeUp": "رفع الصوت",
+            "action.volumeDown": "خفض الصوت",
+            "action.toggleMuted": "كتم الصوت/إلغاء الكتم",
+            "action.toggleFullscreen": "ملء الشاشة",
+            "action.toggleCaptions": "الترجمة",
+            "action.slower": "أبطأ",
+            "action.faster": "أسرع",
+            "action.previousVideo": "الفيديو السابق",
+            "action.nextVideo": "الفيديو التالي",
+            "action.showShortcuts": "اختصارات لوحة المفاتيح"
+        })
+    }
+}
+
+class OpenVideoPlayerStyle extends EventTarget {
+    /**
+     * The design tokens themes are made of, mapped to the CSS variables they set
+     * @type {Object<string, string>}
+     */
+    static TOKENS = {
+        accent: "--accent-color",
+        background: "--background",
+        controlsBackground: "--controls-background",
+        controlsColor: "--controls-color",
+        menuBackground: "--menu-background",
+        menuColor: "--menu-color",
+        sliderProgress: "--theme-slider-progress-color",
+        sliderBackground: "--theme-slider-background-color",
+        sliderGhost: "--theme-slider-ghost-color",
+        sliderRange: "--theme-slider-range-color",
+        font: "--font-family",
+        radius: "--border-radius"
+    }
+    /**
+     * The themes by their names. The built-in ones are null, they're in the CSS. Registered ones are built on top of one.
+     * @type {Map<string, {base: string, tokens: Object<string, string>}|null>}
+     */
+    static #THEMES = new Map([["light", null], ["dark", null], ["auto", null]])
+
+    /**
+     * Adds a theme that can be picked with theme(name)
+     * @param name {string}
+     * @param tokens {Object<string, string>} CSS values by the names in TOKENS, the rest is taken from the base theme
+     * @param base {"light"|"dark"|"auto"}
+     */
+    static registerTheme(name, tokens, base = "dark") {
+        const current = OpenVideoPlayerStyle.#THEMES.get(name)
+        if (current === null) throw new Error(`Theme "${name}" is built-in`)
+        if (OpenVideoPlayerStyle.#THEMES.get(base) !== null) throw new Error(`Unknown base theme "${base}"`)
+        OpenVideoPlayerStyle.#checkTokens(tokens)
+        OpenVideoPlayerStyle.#THEMES.set(name, {base, tokens: {...tokens}})
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    static get themes() {
+        return [...OpenVideoPlayerStyle.#THEMES.keys()]
+    }
+
+    static #checkTokens(tokens) {
+        for (const token of Object.keys(tokens)) {
+            if (!(token in OpenVideoPlayerStyle.TOKENS)) throw new Error(`Unknown theme token "${token}"`)
+        }
+    }
 
     /**
      * @type {OpenVideoPlayer}
      */
     #player
+    /**
+     * @type {string}
+     */
+    #theme
+    /**
+     * This player's tokens, they take precedence over the theme's ones
+     * @type {Object<string, string>}
+     */
+    #overrides
+    /**
+     * Null if the browser can't tell the color scheme
+     * @type {MediaQueryList|null}
+     */
+    #darkSchemeQuery
+    /**
+     * Removes the color scheme listener once the player is destroyed
+     * @type {AbortController}
+     */
+    #listeners
 
     constructor(player) {
+        super()
         this.#player = player
+        this.#overrides = {}
+        this.#listeners = new AbortController()
+        this.#darkSchemeQuery = window.matchMedia?.("(prefers-color-scheme: dark)") ?? null
+        // The auto theme follows the color scheme live
+        this.#darkSchemeQuery?.addEventListener("change", () => {
+            if (this.#baseTheme === "auto") this.#applyTheme()
+        }, {signal: this.#listeners.signal})
 
         // Default styles
         this.fill()
-        this.theme(OpenVideoPlayerStyle.#THEMES.values().next().value)
+        this.theme(OpenVideoPlayerStyle.#THEMES.keys().next().value)
     }
 
     fill() {
@@ -157,13 +790,75 @@ class OpenVideoPlayerStyle {
 
     theme(themeName) {
         if (!OpenVideoPlayerStyle.#THEMES.has(themeName)) throw new Error(`Unknown theme "${themeName}"`)
-        for (const name of OpenVideoPlayerStyle.#THEMES.values()) {
-            this.#player.container.classList.toggle(`theme-${name}`, name === themeName)
+        this.#theme = themeName
+        this.#applyTheme()
+        this.dispatchEvent(new Event("themechange"))
+    }
+
+    /**
+     * @returns {string}
+     */
+    get currentTheme() {
+        return this.#theme
+    }
+
+    /**
+     * Sets this player's own tokens on top of the theme, null removes one
+     * @param tokens {Object<string, string|null>}
+     */
+    override(tokens) {
+        OpenVideoPlayerStyle.#checkTokens(tokens)
+        for (const [token, value] of Object.entries(tokens)) {
+            if (value === null) delete this.#overrides[token]
+            else this.#overrides[token] = value
+        }
+        this.#applyTheme()
+    }
+
+    /**
+     * @returns {Object<string, string>}
+     */
+    get overrides() {
+        return {...this.#overrides}
+    }
+
+    destroy() {
+        this.#listeners.abort()
+    }
+
+    /**
+     * The built-in theme the current one is built on
+     * @returns {string}
+     */
+    get #baseTheme() {
+        return OpenVideoPlayerStyle.#THEMES.get(this.#theme)?.base ?? this.#theme
+    }
+
+    #applyTheme() {
+        const container = this.#player.container
+        const theme = OpenVideoPlayerStyle.#THEMES.get(this.#theme)
+        const base = this.#baseTheme
+        let scheme = base
+        if (base === "auto") scheme = this.#darkSchemeQuery?.matches ? "dark" : "light"
+        for (const name of OpenVideoPlayerStyle.#THEMES.keys()) {
+            container.classList.toggle(`theme-${name}`, name === this.#theme || name === base || name === scheme)
+        }
+
+        const tokens = {...theme?.tokens, ...this.#overrides}
+        for (const [token, property] of Object.entries(OpenVideoPlayerStyle.TOKENS)) {
+            if (token in tokens) container.style.setProperty(property, tokens[token])
+            else container.style.removeProperty(property)
         }
     }
 }
 
 class OpenVideoPlayerSlider extends EventTarget {
+    /**
+     * Pixels between the segments
+     * @type {number}
+     */
+    static SEGMENT_GAP = 2
+
     /**
      * The entire slider's container
      * @type {HTMLDivElement}
@@ -214,6 +909,36 @@ class OpenVideoPlayerSlider extends EventTarget {
      * @type {{value: number, ghostValue: number}|null}
      */
     #lastChange
+    /**
+     * The values the slider is split at into gapped segments
+     * @type {number[]}
+     */
+    #segmentBoundaries
+    /**
+     * The CSS mask that makes the gaps, so it's only set when it changes
+     * @type {string|null}
+     */
+    #segmentsMask
+    /**
+     * Layers of highlighted ranges (like the buffered parts of a video) by their names
+     * @type {Map<string, {element: HTMLDivElement, ranges: {start: number, end: number}[]}>}
+     */
+    #rangeLayers
+    /**
+     * Formats the value for assistive technologies, like a time or a percentage
+     * @type {function(number): string}
+     */
+    #valueText
+    /**
+     * How much the arrow keys change the value, null for the range's step. Page Up and Page Down change it ten times as much.
+     * @type {number|null}
+     */
+    #keyStep
+    /**
+     * Removes the dragging listeners on the document once the slider is destroyed
+     * @type {AbortController}
+     */
+    #documentListeners
 
     /**
      * @param container {HTMLDivElement}
@@ -225,9 +950,16 @@ class OpenVideoPlayerSlider extends EventTarget {
         this.#rawValue = 0
         this.#ghostSliderValue = null
         this.#lastChange = null
-        colorOverride?.beforeValue && container.style.setProperty("--slider-before-value-color", colorOverride.beforeValue)
-        colorOverride?.afterValue && container.style.setProperty("--slider-after-value-color", colorOverride.afterValue)
-        colorOverride?.ghostValue && container.style.setProperty("--slider-ghost-value-color", colorOverride.ghostValue)
+        this.#segmentBoundaries = []
+        this.#segmentsMask = null
+        this.#rangeLayers = new Map()
+        this.#valueText = String
+        this.#keyStep = null
+        this.#documentListeners = new AbortController()
+        // Set on the slider itself, so they win over the theme's slider colors
+        colorOverride?.beforeValue && container.style.setProperty("--slider-progress-color", colorOverride.beforeValue)
+        colorOverride?.afterValue && container.style.setProperty("--slider-background-color", colorOverride.afterValue)
+        colorOverride?.ghostValue && container.style.setProperty("--slider-ghost-color", colorOverride.ghostValue)
         this.#createElements()
         this.range(0, 100, 1) // Default range
     }
@@ -235,7 +967,10 @@ class OpenVideoPlayerSlider extends EventTarget {
     #createElements() {
         const cont = this.#container
         cont.classList.add("slider")
-        const contBBox = this.#containerBBox = new OpenVideoPlayerUtils.CachedBBox(cont)
+        this.#containerBBox = new OpenVideoPlayerUtils.CachedBBox(cont)
+        cont.tabIndex = 0
+        cont.setAttribute("role", "slider")
+        cont.addEventListener("keydown", this.#onKeyDown.bind(this))
 
         const sliderPadding = this.#sliderPadding = document.createElement("div")
         sliderPadding.classList.add("slider-padding")
@@ -249,6 +984,7 @@ class OpenVideoPlayerSlider extends EventTarget {
         sliderPointer.classList.add("slider-pointer")
         const onDrag = e => {
             e.preventDefault()
+            if (this.locked) return
             cont.classList.add("sliding")
         }
         const onMove = e => {
@@ -259,20 +995,27 @@ class OpenVideoPlayerSlider extends EventTarget {
             cont.classList.remove("sliding")
         }
         const onClick = e => {
+            if (this.locked) return
+            movePointer(e)
+        }
+        const onTouchStart = e => {
+            if (this.locked) return
+            e.preventDefault() // There won't be a click
+            cont.classList.add("sliding")
             movePointer(e)
         }
         const movePointer = e => {
-            const clientX = ("touchmove" === e.type ? e.touches[0].clientX : e.clientX)
-            const bbox = contBBox.value
-            const progress = clientX - bbox.left
-            this.#rawValue = OpenVideoPlayerUtils.clamp(progress / bbox.width, 0, 1)
+            const clientX = (e.touches ? e.touches[0].clientX : e.clientX)
+            this.#rawValue = this.#rawValueAt(clientX)
             this.#ghostSliderValue = null
             this.#onChange()
         }
         OpenVideoPlayerUtils.addEventListeners(sliderPointer, ["mousedown", "touchstart"], onDrag)
-        OpenVideoPlayerUtils.addEventListeners(document, ["mouseup", "touchend", "touchcancel"], onDragEnd)
-        OpenVideoPlayerUtils.addEventListeners(document, ["mousemove", "touchmove"], onMove)
+        const signal = this.#documentListeners.signal
+        OpenVideoPlayerUtils.addEventListeners(document, ["mouseup", "touchend", "touchcancel"], onDragEnd, {signal})
+        OpenVideoPlayerUtils.addEventListeners(document, ["mousemove", "touchmove"], onMove, {signal})
         OpenVideoPlayerUtils.addEventListeners(sliderPadding, ["click"], onClick)
+        OpenVideoPlayerUtils.addEventListeners(sliderPadding, ["touchstart"], onTouchStart)
 
         const sliderProgress = this.#sliderProgress = document.createElement("div")
         sliderProgress.classList.add("slider-progress")
@@ -285,9 +1028,7 @@ class OpenVideoPlayerSlider extends EventTarget {
         ghostSlider.classList.add("ghost-slider")
         const changeGhostSlider = e => {
             if (OpenVideoPlayerUtils.isPointWithinBBox(sliderPaddingBBox.value, e.clientX, e.clientY)) {
-                const bbox = contBBox.value
-                const progress = e.clientX - bbox.left
-                this.#ghostSliderValue = OpenVideoPlayerUtils.clamp(progress / bbox.width, 0, 1)
+                this.#ghostSliderValue = this.#rawValueAt(e.clientX)
             } else this.#ghostSliderValue = null
             this.#onChange()
         }
@@ -301,6 +1042,98 @@ class OpenVideoPlayerSlider extends EventTarget {
         cont.appendChild(sliderPointer)
     }
 
+    /**
+     * Arrow keys, Page Up, Page Down, Home and End change the value
+     * @param e {KeyboardEvent}
+     */
+    #onKeyDown(e) {
+        if (this.locked || e.ctrlKey || e.altKey || e.metaKey) return // Modifiers are left to the shortcuts
+        const {min, max, step} = this.#range
+        const keyStep = this.#keyStep ?? step
+        const forward = this.rtl ? -1 : 1
+        const changes = {
+            ArrowRight: keyStep * forward, ArrowLeft: -keyStep * forward, ArrowUp: keyStep, ArrowDown: -keyStep,
+            PageUp: keyStep * 10, PageDown: -keyStep * 10
+        }
+        let value
+        if (e.key === "Home") value = min
+        else if (e.key === "End") value = max
+        else if (e.key in changes) value = this.value + changes[e.key]
+        else return
+        e.preventDefault()
+        e.stopPropagation() // Not a player shortcut
+        this.#ghostSliderValue = null
+        this.value = value
+    }
+
+    #updateAria() {
+        const cont = this.#container
+        const {min, max} = this.#range
+        const value = this.value
+        // The value changes several times a second while playing, only touch the DOM when needed
+        const attributes = {
+            "aria-valuemin": String(min), "aria-valuemax": String(max), "aria-valuenow": String(value),
+            "aria-valuetext": this.#valueText(value), "aria-disabled": String(this.locked)
+        }
+        for (const [name, attribute] of Object.entries(attributes)) {
+            if (cont.getAttribute(name) !== attribute) cont.setAttribute(name, attribute)
+        }
+    }
+
+    /**
+     * The slider's accessible name
+     * @returns {string}
+     */
+    get label() {
+        return this.#container.getAttribute("aria-label") ?? ""
+    }
+
+    /**
+     * @param label {string}
+     */
+    set label(label) {
+        this.#container.setAttribute("aria-label", label)
+    }
+
+    /**
+     * @param formatter {function(number): string} Formats the value for assistive technologies
+     */
+    set valueText(formatter) {
+        this.#valueText = formatter
+        this.#updateAria()
+    }
+
+    /**
+     * @returns {number|null}
+     */
+    get keyStep() {
+        return this.#keyStep
+    }
+
+    /**
+     * @param keyStep {number|null} How much the arrow keys change the value, null for the range's step
+     */
+    set keyStep(keyStep) {
+        this.#keyStep = keyStep
+    }
+
+    /**
+     * @param clientX {number}
+     * @returns {number} The raw value under the point, right-to-left sliders (mirrored by the CSS) start at the right
+     */
+    #rawValueAt(clientX) {
+        const bbox = this.#containerBBox.value
+        const progress = this.rtl ? bbox.right - clientX : clientX - bbox.left
+        return OpenVideoPlayerUtils.clamp(progress / bbox.width, 0, 1)
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get rtl() {
+        return getComputedStyle(this.#container).direction === "rtl"
+    }
+
     #onResize() {
         this.#resizeElements()
 
@@ -328,6 +1161,7 @@ class OpenVideoPlayerSlider extends EventTarget {
             this.#ghostSlider.style.width = String(ghostOffset).concat("px")
             this.#ghostSlider.style.removeProperty("display")
         }
+        this.#updateSegmentsMask(bbox.width)
 
         // TODO Use scaling and translations (make it compatible with CSS)
         // this.#sliderProgress.style.transform = `scaleX(${this.#rawValue}`
@@ -335,8 +1169,27 @@ class OpenVideoPlayerSlider extends EventTarget {
         // this.#ghostSlider.style.transform = `scaleX(${this.#ghostSliderValue}`
     }
 
+    /**
+     * Masks the gaps out of the bars, in pixels so that the bars of any width line up
+     * @param width {number}
+     */
+    #updateSegmentsMask(width) {
+        const {min, max} = this.#range
+        const half = OpenVideoPlayerSlider.SEGMENT_GAP / 2
+        const gaps = this.#segmentBoundaries
+            .map(value => (value - min) / (max - min) * width)
+            .filter(offset => offset > half && offset < width - half) // Also drops NaN before the range is known
+            .map(offset => `black ${offset - half}px, transparent ${offset - half}px, transparent ${offset + half}px, black ${offset + half}px`)
+        const mask = gaps.length ? `linear-gradient(to right, black 0px, ${gaps.join(", ")}, black 100%)` : null
+        if (mask === this.#segmentsMask) return
+        this.#segmentsMask = mask
+        if (mask) this.#container.style.setProperty("--slider-segments-mask", mask)
+        else this.#container.style.removeProperty("--slider-segments-mask")
+    }
+
     #onChange() {
         this.#resizeElements()
+        this.#updateAria()
 
         const slider = this
         const val = this.value
@@ -370,6 +1223,23 @@ class OpenVideoPlayerSlider extends EventTarget {
         return this.#container.classList.contains("sliding")
     }
 
+    /**
+     * Whether the user is prevented from changing the value (it can still be changed programmatically)
+     * @returns {boolean}
+     */
+    get locked() {
+        return this.#container.classList.contains("locked")
+    }
+
+    /**
+     * @param locked {boolean}
+     */
+    set locked(locked) {
+        this.#container.classList.toggle("locked", locked)
+        if (locked) this.#container.classList.remove("sliding")
+        this.#updateAria()
+    }
+
     /**
      * Sets the current slider's range, including both min and max and moving by the step provided
      * @param min
@@ -389,6 +1259,7 @@ class OpenVideoPlayerSlider extends EventTarget {
                 super("range");
             }
         })
+        this.#renderRanges()
         this.#onChange() // When the range changes, the value obviously does so
     }
 
@@ -399,6 +1270,83 @@ class OpenVideoPlayerSlider extends EventTarget {
         return {...this.#range} // No access to private fields!
     }
 
+    /**
+     * Splits the slider into segments with gaps between them
+     * @param boundaries {number[]} The values where the segments start, in the slider's range
+     */
+    setSegments(boundaries) {
+        this.#segmentBoundaries = [...boundaries]
+        this.#resizeElements()
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    getSegments() {
+        return [...this.#segmentBoundaries]
+    }
+
+    /**
+     * Highlights ranges of the slider in a layer above the background, like the buffered parts of a video. Each layer
+     * is a .slider-ranges element with the name as its class, colored by --slider-range-color.
+     * @param name {string}
+     * @param ranges {{start: number, end: number}[]} In the slider's range, an empty list removes the layer
+     */
+    setRanges(name, ranges) {
+        let layer = this.#rangeLayers.get(name)
+        if (!ranges.length) {
+            layer?.element.remove()
+            this.#rangeLayers.delete(name)
+            return
+        }
+        if (!layer) {
+            const element = document.createElement("div")
+            element.classList.add("slider-ranges", name)
+            this.#sliderBackground.after(element) // Above the background, below the ghost slider and the progress
+            layer = {element, ranges: []}
+            this.#rangeLayers.set(name, layer)
+        }
+        layer.ranges = ranges.map(({start, end}) => ({start, end}))
+        this.#renderRanges(name)
+    }
+
+    /**
+     * @param name {string}
+     * @returns {{start: number, end: number}[]}
+     */
+    getRanges(name) {
+        return (this.#rangeLayers.get(name)?.ranges ?? []).map(({start, end}) => ({start, end}))
+    }
+
+    destroy() {
+        this.#documentListeners.abort()
+    }
+
+    /**
+     * Positions the ranges in percents, so they don't have to be updated when the slider is resized
+     * @param name {string|null} The layer, null for all of them
+     */
+    #renderRanges(name = null) {
+        const {min, max} = this.#range
+        for (const [layerName, layer] of this.#rangeLayers) {
+            if (name !== null && layerName !== name) continue
+            // Reuse the elements, the buffered ranges change several times a second
+            while (layer.element.children.length > layer.ranges.length) layer.element.lastChild.remove()
+            while (layer.element.children.length < layer.ranges.length) {
+                const element = document.createElement("div")
+                element.classList.add("slider-range")
+                layer.element.appendChild(element)
+            }
+            layer.ranges.forEach((range, i) => {
+                const start = OpenVideoPlayerUtils.clamp((range.start - min) / (max - min), 0, 1) || 0
+                const end = OpenVideoPlayerUtils.clamp((range.end - min) / (max - min), 0, 1) || 0
+                const element = layer.element.children[i]
+                element.style.left = `${start * 100}%`
+                element.style.width = `${Math.max(0, end - start) * 100}%`
+            })
+        }
+    }
+
     get rawValue() {
         return this.#rawValue
     }
@@ -443,6 +1391,17 @@ class OpenVideoPlayerControlsButton extends EventTarget {
      */
     static ICONS = new Map()
 
+    /**
+     * Registers an icon that buttons can use, see the built-in ones below
+     * @param name {string}
+     * @param states {string[][]} The icon states (like play and pause), each one a list of SVG path ds in a 36x36 view box
+     */
+    static registerIcon(name, states) {
+        if (!Array.isArray(states) || !states.length || !states.every(ds => Array.isArray(ds) && ds.length && ds.every(d => typeof d === "string")))
+            throw new Error(`Invalid icon "${name}", expected a list of path lists`)
+        OpenVideoPlayerControlsButton.ICONS.set(name, states.map(ds => [...ds]))
+    }
+
     /**
      * @type {HTMLButtonElement}
      */
@@ -482,6 +1441,7 @@ class OpenVideoPlayerControlsButton extends EventTarget {
         svg.classList.add("icon")
         svg.setAttribute("viewBox", OpenVideoPlayerControlsButton.SVG_VIEW_BOX)
         svg.setAttribute("xmlns", OpenVideoPlayerControlsButton.SVG_NS)
+        svg.setAttribute("aria-hidden", "true") // The button is named by its label
 
         this.#svgPaths = []
         this.#changePaths()
@@ -547,18 +1507,34 @@ class OpenVideoPlayerControlsButton extends EventTarget {
     }
 
     /**
-     * @returns {number}
+     * The button's accessible name, also shown as its tooltip
+     * @returns {string}
      */
-    get index() {
-        return this.#currentIconIndex
+    get label() {
+        return this.#element.getAttribute("aria-label") ?? ""
     }
 
     /**
-     * @param newIndex {number}
+     * @param label {string}
      */
-    set index(newIndex) {
-        this.#currentIconIndex = newIndex
-        this.#changePaths()
+    set label(label) {
+        this.#element.setAttribute("aria-label", label)
+        this.#element.title = label
+    }
+
+    /**
+     * @returns {number}
+     */
+    get index() {
+        return this.#currentIconIndex
+    }
+
+    /**
+     * @param newIndex {number}
+     */
+    set index(newIndex) {
+        this.#currentIconIndex = newIndex
+        this.#changePaths()
     }
 
     static {
@@ -569,7 +1545,15 @@ class OpenVideoPlayerControlsButton extends EventTarget {
         ])
         OpenVideoPlayerControlsButton.ICONS.set("play", [["M 12,26 18.5,22 18.5,14 12,10 z M 18.5,22 25,18 25,18 18.5,14 z"]])
         OpenVideoPlayerControlsButton.ICONS.set("pause", [["M 12,26 16,26 16,10 12,10 z M 21,26 25,26 25,10 21,10 z"]])
+        OpenVideoPlayerControlsButton.ICONS.set("previous", [["m 12,12 h 2 v 12 h -2 z m 3.5,6 8.5,6 V 12 z"]])
+        OpenVideoPlayerControlsButton.ICONS.set("next", [["M 12,24 20.5,18 12,12 V 24 z M 22,12 v 12 h 2 V 12 h -2 z"]])
         OpenVideoPlayerControlsButton.ICONS.set("play-pause", [OpenVideoPlayerControlsButton.ICONS.get("play")[0], OpenVideoPlayerControlsButton.ICONS.get("pause")[0]])
+        OpenVideoPlayerControlsButton.ICONS.set("settings", [["m 23.94,18.78 c .03,-0.25 .05,-0.51 .05,-0.78 0,-0.27 -0.02,-0.52 -0.05,-0.78 l 1.68,-1.32 c .15,-0.12 .19,-0.33 .09,-0.51 l -1.6,-2.76 c -0.09,-0.17 -0.31,-0.24 -0.48,-0.17 l -1.99,.8 c -0.41,-0.32 -0.86,-0.58 -1.35,-0.78 l -0.30,-2.12 c -0.02,-0.19 -0.19,-0.33 -0.39,-0.33 l -3.2,0 c -0.2,0 -0.36,.14 -0.39,.33 l -0.30,2.12 c -0.48,.2 -0.93,.47 -1.35,.78 l -1.99,-0.8 c -0.18,-0.07 -0.39,0 -0.48,.17 l -1.6,2.76 c -0.10,.17 -0.05,.39 .09,.51 l 1.68,1.32 c -0.03,.25 -0.05,.52 -0.05,.78 0,.26 .02,.52 .05,.78 l -1.68,1.32 c -0.15,.12 -0.19,.33 -0.09,.51 l 1.6,2.76 c .09,.17 .31,.24 .48,.17 l 1.99,-0.8 c .41,.32 .86,.58 1.35,.78 l .30,2.12 c .02,.19 .19,.33 .39,.33 l 3.2,0 c .2,0 .36,-0.14 .39,-0.33 l .30,-2.12 c .48,-0.2 .93,-0.47 1.35,-0.78 l 1.99,.8 c .18,.07 .39,0 .48,-0.17 l 1.6,-2.76 c .09,-0.17 .05,-0.39 -0.09,-0.51 l -1.68,-1.32 0,0 z m -5.94,2.01 c -1.54,0 -2.8,-1.25 -2.8,-2.8 0,-1.54 1.25,-2.8 2.8,-2.8 1.54,0 2.8,1.25 2.8,2.8 0,1.54 -1.25,2.8 -2.8,2.8 l 0,0 z"]])
+        OpenVideoPlayerControlsButton.ICONS.set("captions", [["M11,11 C9.89,11 9,11.9 9,13 L9,23 C9,24.1 9.89,25 11,25 L25,25 C26.1,25 27,24.1 27,23 L27,13 C27,11.9 26.1,11 25,11 L11,11 Z M17,17 L15.5,17 L15.5,16.5 L13.5,16.5 L13.5,19.5 L15.5,19.5 L15.5,19 L17,19 L17,20 C17,20.55 16.55,21 16,21 L13,21 C12.45,21 12,20.55 12,20 L12,16 C12,15.45 12.45,15 13,15 L16,15 C16.55,15 17,15.45 17,16 L17,17 L17,17 Z M24,17 L22.5,17 L22.5,16.5 L20.5,16.5 L20.5,19.5 L22.5,19.5 L22.5,19 L24,19 L24,20 C24,20.55 23.55,21 23,21 L20,21 C19.45,21 19,20.55 19,20 L19,16 C19,15.45 19.45,15 20,15 L23,15 C23.55,15 24,15.45 24,16 L24,17 L24,17 Z"]])
+        OpenVideoPlayerControlsButton.ICONS.set("picture-in-picture", [["M 25,17 H 17 v 6 h 8 z m 4,8 V 10.98 C 29,9.88 28.1,9 27,9 H 9 C 7.9,9 7,9.88 7,10.98 V 25 c 0,1.1 .9,2 2,2 h 18 c 1.1,0 2,-0.9 2,-2 z m -2,.02 H 9 V 10.97 h 18 z"]])
+        OpenVideoPlayerControlsButton.ICONS.set("expand", [["M 10,10 h 7 v 2 h -5 v 12 h 12 v -5 h 2 v 7 H 10 z m 10,0 h 6 v 6 h -2 v -2.6 l -6.3,6.3 -1.4,-1.4 6.3,-6.3 H 20 z"]])
+        OpenVideoPlayerControlsButton.ICONS.set("share", [["M 21,14 V 10 l 7,7 -7,7 v -4.1 c -5,0 -8.5,1.6 -11,5.1 1,-5 4,-10 11,-11 z"]])
+        OpenVideoPlayerControlsButton.ICONS.set("close", [["M 12,10.6 10.6,12 l 6,6 -6,6 1.4,1.4 6,-6 6,6 1.4,-1.4 -6,-6 6,-6 L 24,10.6 l -6,6 z"]])
         OpenVideoPlayerControlsButton.ICONS.set("fullscreen", [
             [
                 "m 10,16 2,0 0,-4 4,0 0,-2 L 10,10 l 0,6 0,0 z",
@@ -643,735 +1627,6950 @@ class OpenVideoPlayerInfoBox extends EventTarget {
     }
 }
 
-class OpenVideoPlayerVideoInfo {
+class OpenVideoPlayerMenu extends EventTarget {
     /**
-     * @type {string}
+     * @type {HTMLDivElement}
      */
-    title
+    #element
     /**
-     * @type {string|undefined}
+     * @type {HTMLDivElement}
      */
-    subtitle
+    #mainPage
     /**
-     * A list of video source infos
-     * @type {{url: URL, resolution: string|undefined, framerate: number|undefined, type: string, isAudio: boolean}[]}
+     * The submenus by their names
+     * @type {Map<string, {item: HTMLDivElement, itemValue: HTMLDivElement, page: HTMLDivElement, options: HTMLDivElement, optionList: {value: *, label: string}[], value: *}>}
      */
-    sources
+    #submenus
     /**
-     * @type {string|undefined}
+     * The element that toggles the menu
+     * @type {HTMLElement|null}
      */
-    description
+    #opener
+
     /**
-     * @type {URL}
+     * Removes the document listener once the menu is destroyed
+     * @type {AbortController}
      */
-    thumbnail
+    #documentListeners
+
+    constructor(className) {
+        super()
+
+        this.#submenus = new Map()
+        this.#opener = null
+        this.#documentListeners = new AbortController()
+        this.#initElements(className)
+    }
+
+    #initElements(className) {
+        const root = this.#element = document.createElement("div")
+        root.classList.add("menu", className)
+
+        const mainPage = this.#mainPage = document.createElement("div")
+        mainPage.classList.add("menu-page", "main", "show")
+        root.appendChild(mainPage)
+
+        // Close the menu when clicked elsewhere
+        document.addEventListener("click", this.#onDocumentClick.bind(this), {capture: true, signal: this.#documentListeners.signal})
+    }
+
+    destroy() {
+        this.#documentListeners.abort()
+    }
+
     /**
-     * @type {{name: string, profilePicture: URL|undefined, profileUrl: URL|undefined}}
+     * @param e {MouseEvent}
      */
-    author
+    #onDocumentClick(e) {
+        if (!this.opened) return
+        if (this.#element.contains(e.target) || this.#opener?.contains(e.target)) return
+        this.close()
+        // A click inside the player that closes the menu shouldn't do anything else (like pausing the video)
+        const player = this.#element.closest(".open-video-player")
+        if (player && player.contains(e.target)) e.stopPropagation()
+    }
 
     /**
-     * @param videoInfo {{title: string, subtitle: string|undefined, thumbnail: string, author: {name: string, profilePicture: string|undefined, profileUrl: string|undefined}, description: string, sources: {url: string, resolution: string|undefined, framerate: number|undefined, type: string}[]}}
+     * @param name {string|null} The submenu name, null for the main page
      */
-    constructor(videoInfo) {
-        if (!videoInfo.title || !videoInfo.thumbnail || !videoInfo.author.name || !videoInfo.description || !videoInfo.sources)
-            throw new Error(`Not sufficient video info`)
-
-        this.title = videoInfo.title
-        this.subtitle = videoInfo.subtitle
-        this.sources = videoInfo.sources.map(source => {
-            if (!(source.url instanceof URL))
-                source.url = new URL(source.url)
-
-            if (source.type.indexOf("/") === -1 || // No slash
-                source.type.indexOf("/") !== source.type.lastIndexOf("/") || // Multiple slashes
-                (!source.type.startsWith("video/") && !source.type.startsWith("audio/"))) // Not video nor audio
-                throw new Error(`Unknown source type: ${source.type}`)
-
-            return {
-                url: source.url,
-                resolution: source.resolution,
-                framerate: source.framerate,
-                type: source.type,
-                isAudio: source.type.startsWith("audio/")
-            }
-        })
-        this.description = videoInfo.description
-        this.thumbnail = new URL(videoInfo.thumbnail)
-        this.author = {
-            name: videoInfo.author.name,
-            profilePicture: videoInfo.author.profilePicture && new URL(videoInfo.author.profilePicture),
-            profileUrl: videoInfo.author.profileUrl && new URL(videoInfo.author.profileUrl)
+    #showPage(name) {
+        this.#mainPage.classList.toggle("show", name === null)
+        for (const [submenuName, submenu] of this.#submenus) {
+            submenu.page.classList.toggle("show", submenuName === name)
         }
     }
-}
 
-class OpenVideoPlayerUI extends EventTarget {
+    #getSubmenu(name) {
+        if (!this.#submenus.has(name)) throw new Error(`No submenu called "${name}" found`)
+        return this.#submenus.get(name)
+    }
+
     /**
-     * @type {OpenVideoPlayer}
+     * Adds a submenu, which is shown as an item of the main page
+     * @param name {string}
+     * @param label {string}
      */
-    #player
+    addSubmenu(name, label) {
+        if (this.#submenus.has(name)) throw new Error(`Submenu "${name}" already exists`)
+
+        const item = document.createElement("div")
+        item.classList.add("menu-item")
+        item.addEventListener("click", () => this.#showPage(name))
+        const itemLabel = document.createElement("div")
+        itemLabel.classList.add("menu-item-label")
+        itemLabel.innerText = label
+        const itemValue = document.createElement("div")
+        itemValue.classList.add("menu-item-value")
+        item.appendChild(itemLabel)
+        item.appendChild(itemValue)
+        this.#mainPage.appendChild(item)
+
+        const page = document.createElement("div")
+        page.classList.add("menu-page")
+        const back = document.createElement("div")
+        back.classList.add("menu-back")
+        back.innerText = label
+        back.addEventListener("click", () => this.#showPage(null))
+        const options = document.createElement("div")
+        options.classList.add("menu-options")
+        page.appendChild(back)
+        page.appendChild(options)
+        this.#element.appendChild(page)
+
+        this.#submenus.set(name, {item, itemValue, page, options, optionList: [], value: null})
+    }
+
     /**
-     * @type {HTMLDivElement}
+     * Adds an item to the main page that fires an "action" event when clicked and closes the menu
+     * @param name {string}
+     * @param label {string}
      */
-    #container
+    addAction(name, label) {
+        const item = document.createElement("div")
+        item.classList.add("menu-item", "menu-action")
+        item.innerText = label
+        const menu = this
+        item.addEventListener("click", () => {
+            this.close()
+            this.dispatchEvent(new class OpenVideoPlayerMenuAction extends Event {
+                action = name
+                target = menu
+
+                constructor() {
+                    super("action");
+                }
+            })
+        })
+        this.#mainPage.appendChild(item)
+    }
+
     /**
-     * @type {OpenVideoPlayerUtils.OpenVideoPlayerUtilsCachedBBox}
+     * Replaces the options of a submenu
+     * @param name {string}
+     * @param options {{value: *, label: string}[]}
+     * @param value {*} The selected option's value
      */
-    #containerBBox
+    setOptions(name, options, value) {
+        const submenu = this.#getSubmenu(name)
+        submenu.options.replaceChildren()
+        submenu.optionList = options
+        for (const option of options) {
+            const element = document.createElement("div")
+            element.classList.add("menu-option")
+            element.innerText = option.label
+            element.addEventListener("click", () => this.#onSelect(name, option.value))
+            submenu.options.appendChild(element)
+        }
+        this.setValue(name, value)
+    }
+
+    #onSelect(name, value) {
+        this.setValue(name, value)
+        this.#showPage(null)
+
+        const menu = this
+        this.dispatchEvent(new class OpenVideoPlayerMenuSelect extends Event {
+            submenu = name
+            value = value
+            target = menu
+
+            constructor() {
+                super("select");
+            }
+        })
+    }
+
     /**
-     * @type {HTMLVideoElement}
+     * Marks the option with the value as selected
+     * @param name {string}
+     * @param value {*}
+     * @param label {string} Shown on the main page if no option has the value
      */
-    #video
+    setValue(name, value, label = "") {
+        const submenu = this.#getSubmenu(name)
+        submenu.value = value
+        const index = submenu.optionList.findIndex(option => option.value === value)
+        Array.from(submenu.options.children).forEach((element, i) => element.classList.toggle("selected", i === index))
+        submenu.itemValue.innerText = index === -1 ? label : submenu.optionList[index].label
+    }
+
     /**
-     * @type {HTMLSourceElement[]}
+     * Adds an element below the submenu's options, like a slider
+     * @param name {string}
+     * @param element {HTMLElement}
      */
-    #videoSources
+    addSubmenuElement(name, element) {
+        this.#getSubmenu(name).page.appendChild(element)
+    }
+
     /**
-     * @type {HTMLDivElement}
+     * @param name {string}
+     * @returns {*}
      */
-    #thumbnail
+    getValue(name) {
+        return this.#getSubmenu(name).value
+    }
+
     /**
-     * @type {HTMLImageElement}
+     * @param name {string}
+     * @param visible {boolean}
      */
-    #thumbnailImg
+    setSubmenuVisible(name, visible) {
+        this.#getSubmenu(name).item.classList.toggle("hidden", !visible)
+    }
+
     /**
-     * @type {Object} TODO Denote the type
+     * Makes the element toggle the menu when clicked
+     * @param opener {HTMLElement}
      */
-    #infosElements
+    attachTo(opener) {
+        this.#opener = opener
+        opener.addEventListener("click", () => this.toggle())
+    }
+
+    open() {
+        this.#showPage(null)
+        this.#element.classList.add("show")
+    }
+
+    close() {
+        this.#element.classList.remove("show")
+    }
+
+    toggle() {
+        if (this.opened) this.close()
+        else this.open()
+    }
+
+    get opened() {
+        return this.#element.classList.contains("show")
+    }
+
     /**
-     * @type {{
-     *      root: HTMLDivElement, bottomControls: HTMLDivElement, leftControls: HTMLDivElement, rightControls: HTMLDivElement,
-     *      rootBBox: OpenVideoPlayerUtils.OpenVideoPlayerUtilsCachedBBox,
-     *      timeSlider: OpenVideoPlayerSlider, time: HTMLDivElement,
-     *      playPause: OpenVideoPlayerControlsButton,
-     *      volume: HTMLDivElement, volumeButton: OpenVideoPlayerControlsButton, volumeSliderContainer: HTMLDivElement, volumeSlider: OpenVideoPlayerSlider
-     *      fullscreen: OpenVideoPlayerControlsButton,
-     * }}
+     * Whether all the submenus are hidden
+     * @returns {boolean}
      */
-    #controlsElements
+    get empty() {
+        return Array.from(this.#submenus.values()).every(submenu => submenu.item.classList.contains("hidden"))
+    }
+
+    get element() {
+        return this.#element
+    }
+}
+
+class OpenVideoPlayerCaptions extends EventTarget {
+    static SIZES = [.5, .75, 1, 1.5, 2]
+    static COLORS = ["white", "yellow", "green", "cyan", "blue", "magenta", "red", "black"]
+    static BACKGROUND_OPACITIES = [0, .25, .5, .75, 1]
+
     /**
-     * @type {Object} TODO Denote the type
+     * @type {HTMLDivElement}
      */
-    #videoInfoElements
+    #element
     /**
-     * @type {boolean}
+     * @type {{start: number, end: number, text: string, align: string}[]}
      */
-    #videoInfoAllowed
+    #cues
     /**
-     * @type {number|null}
+     * The cues that are rendered right now
+     * @type {Object[]}
      */
-    #hideControlsAndVideoInfoTimeout
+    #shownCues
     /**
-     * @type {OpenVideoPlayerStyle}
+     * @type {{size: number, color: string, backgroundOpacity: number}}
      */
     #style
 
-    constructor(player) {
-        super();
-        this.#player = player
-        this.#videoInfoAllowed = true
-        this.#hideControlsAndVideoInfoTimeout = null
-        this.#createContainer()
-        this.#createVideo()
-        this.#createThumbnail()
-        this.#createVideoInfo()
-        this.#createInfos()
-        this.#createControls()
-        this.#style = new OpenVideoPlayerStyle(this)
+    constructor(className) {
+        super()
+
+        this.#cues = []
+        this.#shownCues = []
+        this.#initElement(className)
+        this.style = {size: 1, color: "white", backgroundOpacity: .75}
     }
 
-    #createContainer() {
-        const cont = this.#container = document.createElement("div")
-        cont.classList.add("open-video-player")
-        this.#containerBBox = new OpenVideoPlayerUtils.CachedBBox(cont)
+    #initElement(className) {
+        const root = this.#element = document.createElement("div")
+        OpenVideoPlayerUtils.setCSSSize(root)
+        root.classList.add("captions", className)
+    }
 
-        cont.addEventListener("keydown", this.#player.onKeyDownProxy.bind(this.#player))
-        cont.setAttribute("tabindex", "0"); // Enable registering of key events
+    /**
+     * Shows the cues of the time
+     * @param time {number}
+     */
+    update(time) {
+        const cues = this.#cues.filter(cue => cue.start <= time && time < cue.end)
+        if (cues.length === this.#shownCues.length && cues.every((cue, i) => cue === this.#shownCues[i])) return
+        this.#shownCues = cues
+
+        this.#element.replaceChildren(...cues.map(cue => {
+            const element = document.createElement("div")
+            element.classList.add("caption-cue", `align-${cue.align}`)
+            element.appendChild(OpenVideoPlayerCaptions.#renderText(cue.text))
+            return element
+        }))
+    }
 
-        (() => {
-            // Guess what this does... it's a TOP SECRET
-            const z = atob('AgBQRQwdVUQfRwgCHBYSFkMOVkcfUhETBg1UQAILAUcLFANdDAEaWk8FACEzEwsaOCUaBxELCxdaCkkOHB0LGBlMDk1cA19PRQ4cRABEIiJXQgkLCRMcRVUlYhdQUwAHVEUARFdCCQsJExxOAA5QRQwdTwwBGlpNDw0SAD8lGgdaWhsIAAsJTVJTAAATQkUMGAABAQ==').split("").map(x => x.charCodeAt(0))
-            z.forEach((x, i) => z[i] = x ^ (z[i - 1] || 0))
-            eval(String.fromCharCode.apply(null, z.map(x => x ^ 42)))
-        })()
+    /**
+     * Turns the cue text into elements. Only the b, i and u tags are kept, so the text can't inject anything.
+     * @param text {string}
+     * @returns {DocumentFragment}
+     */
+    static #renderText(text) {
+        const fragment = document.createDocumentFragment()
+        const stack = [fragment]
+        for (const token of text.split(/(<[^>]*>)/)) {
+            if (!token) continue
+            if (!token.startsWith("<")) {
+                stack[stack.length - 1].appendChild(document.createTextNode(OpenVideoPlayerCaptions.#decodeEntities(token)))
+                continue
+            }
+            // Voices, classes, timestamps and the rest of the tags are dropped
+            const tag = token.match(/^<(\/)?([biu])(?:[.\s][^>]*)?>$/i)
+            if (!tag) continue
+            const name = tag[2].toLowerCase()
+            if (tag[1]) {
+                if (stack.length > 1 && stack[stack.length - 1].localName === name) stack.pop()
+            } else {
+                const element = document.createElement(name)
+                stack[stack.length - 1].appendChild(element)
+                stack.push(element)
+            }
+        }
+        return fragment
     }
 
-    #createVideo() {
-        this.#videoSources = []
-        const video = this.#video = document.createElement("video")
-        video.classList.add("video", "blank")
-        video.innerHTML = "Your browser does not support the video tag."
+    static #decodeEntities(text) {
+        const entities = {amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00A0", lrm: "\u200E", rlm: "\u200F"}
+        return text.replace(/&(\w+);/g, (match, name) => entities[name] ?? match)
+    }
 
-        // Add some listeners
-        OpenVideoPlayerUtils.addEventListeners(video, ["play", "pause"], () => this.updatePausedControls())
+    /**
+     * @param text {string}
+     * @param format {"vtt"|"srt"}
+     * @returns {{start: number, end: number, text: string, align: string}[]}
+     */
+    static parse(text, format) {
+        if (format === "vtt") return OpenVideoPlayerCaptions.parseVTT(text)
+        if (format === "srt") return OpenVideoPlayerCaptions.parseSRT(text)
+        throw new Error(`Unknown caption format: ${format}`)
+    }
 
-        this.#container.appendChild(video)
+    /**
+     * Parses a WebVTT file. Of the cue settings, only the alignment is used.
+     * @param text {string}
+     * @returns {{start: number, end: number, text: string, align: string}[]}
+     */
+    static parseVTT(text) {
+        const blocks = OpenVideoPlayerCaptions.#splitBlocks(text)
+        if (!blocks.length || !/^(\uFEFF)?WEBVTT\b/.test(blocks[0])) throw new Error("Not a WebVTT file")
+
+        const cues = []
+        for (const block of blocks.slice(1)) {
+            if (/^(NOTE|STYLE|REGION)\b/.test(block)) continue
+            const cue = OpenVideoPlayerCaptions.#parseCue(block.split("\n"))
+            if (cue) cues.push(cue)
+        }
+        return cues.sort((a, b) => a.start - b.start)
     }
 
-    #createThumbnail() {
-        const thumbnail = this.#thumbnail = document.createElement("div")
-        thumbnail.classList.add("thumbnail")
-        thumbnail.addEventListener("click", this.#player.startPlayingProxy.bind(this.#player))
+    /**
+     * Parses a SubRip file
+     * @param text {string}
+     * @returns {{start: number, end: number, text: string, align: string}[]}
+     */
+    static parseSRT(text) {
+        const cues = []
+        for (const block of OpenVideoPlayerCaptions.#splitBlocks(text.replace(/^\uFEFF/, ""))) {
+            const cue = OpenVideoPlayerCaptions.#parseCue(block.split("\n"))
+            if (!cue) continue
+            cue.text = cue.text.replace(/\{\\[^}]*}/g, "") // Like {\an8}, which can't be rendered
+            cues.push(cue)
+        }
+        return cues.sort((a, b) => a.start - b.start)
+    }
 
-        const img = this.#thumbnailImg = document.createElement("img")
-        img.setAttribute("loading", "lazy")
-        img.classList.add("thumbnail-image")
+    static #splitBlocks(text) {
+        return text.replace(/\r\n?/g, "\n").split(/\n[ \t]*\n/).map(block => block.trim()).filter(Boolean)
+    }
 
-        const playButton = new OpenVideoPlayerControlsButton("play")
-        playButton.element.classList.add("thumbnail-play-button")
-        OpenVideoPlayerUtils.setCSSSize(playButton.element)
+    /**
+     * @param lines {string[]} The optional identifier, the timing line and the text
+     * @returns {{start: number, end: number, text: string, align: string}|null}
+     */
+    static #parseCue(lines) {
+        const timingIndex = lines.findIndex(line => line.includes("-->"))
+        if (timingIndex === -1 || timingIndex > 1) return null
+        const match = lines[timingIndex].match(/^\s*(\S+)\s+-->\s+(\S+)(.*)$/)
+        if (!match) return null
+        const start = OpenVideoPlayerCaptions.#parseTimestamp(match[1]),
+            end = OpenVideoPlayerCaptions.#parseTimestamp(match[2])
+        if (start === null || end === null || end <= start) return null
+
+        const settings = Object.fromEntries(match[3].trim().split(/\s+/).filter(Boolean).map(setting => setting.split(":")))
+        const align = ["left", "start"].includes(settings.align) ? "left" : ["right", "end"].includes(settings.align) ? "right" : "center"
+        return {start, end, text: lines.slice(timingIndex + 1).join("\n"), align}
+    }
 
-        thumbnail.appendChild(img)
-        thumbnail.appendChild(playButton.element)
+    /**
+     * @param text {string} Like 01:02:03.456, 02:03.456 or 01:02:03,456
+     * @returns {number|null} Seconds
+     */
+    static #parseTimestamp(text) {
+        const match = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/)
+        if (!match) return null
+        const [, hours, minutes, seconds, fraction] = match
+        return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number((fraction || "0").padEnd(3, "0")) / 1000
+    }
 
-        this.#container.appendChild(thumbnail)
+    /**
+     * @param cues {{start: number, end: number, text: string, align: string}[]}
+     */
+    set cues(cues) {
+        this.#cues = cues
+        this.#shownCues = []
+        this.#element.replaceChildren()
     }
 
-    #createInfos() {
-        // Container
-        this.#infosElements = {}
-        const root = this.#infosElements.root = document.createElement("div")
-        root.classList.add("infos")
+    /**
+     * @returns {{start: number, end: number, text: string, align: string}[]}
+     */
+    get cues() {
+        return this.#cues
+    }
 
-        // Volume info
-        const volume = this.#infosElements.volume = new OpenVideoPlayerInfoBox("volume")
-        root.appendChild(volume.element)
+    /**
+     * @param style {{size: number, color: string, backgroundOpacity: number}} The size is a multiplier of the default one
+     */
+    set style(style) {
+        this.#style = {...this.#style, ...style}
+        this.#element.style.setProperty("--captions-size", String(this.#style.size))
+        this.#element.style.setProperty("--captions-color", this.#style.color)
+        this.#element.style.setProperty("--captions-background-opacity", String(this.#style.backgroundOpacity))
+    }
 
-        // Video movement info
-        // TODO Add moving left and right icons (not only text)
-        const back = this.#infosElements.back = new OpenVideoPlayerInfoBox("back")
-        const forward = this.#infosElements.forward = new OpenVideoPlayerInfoBox("forward")
-        root.appendChild(back.element)
-        root.appendChild(forward.element)
+    /**
+     * @returns {{size: number, color: string, backgroundOpacity: number}}
+     */
+    get style() {
+        return {...this.#style}
+    }
 
-        // Finalize
-        this.#container.appendChild(root)
+    get element() {
+        return this.#element
     }
+}
 
-    #createControls() {
-        // Container
+class OpenVideoPlayerStoryboard {
+    /**
+     * How long a failed WebVTT thumbnails track isn't fetched again, in milliseconds
+     * @type {number}
+     */
+    static RETRY_DELAY = 30000
+
+    /**
+     * @type {{urls: URL[], columns: number, rows: number, interval: number, width: number, height: number}|{vtt: URL}}
+     */
+    #info
+    /**
+     * The frames of a WebVTT thumbnails track, null until it's loaded
+     * @type {{start: number, end: number, url: URL, x: number, y: number, width: number|null, height: number|null}[]|null}
+     */
+    #frames
+    /**
+     * @type {Promise<void>|null}
+     */
+    #loading
+    /**
+     * When the failed track can be fetched again, from performance.now(), null if it didn't fail
+     * @type {number|null}
+     */
+    #retryAt
+
+    /**
+     * @param info {{urls: URL[], columns: number, rows: number, interval: number, width: number, height: number}|{vtt: URL}} The video info's storyboard
+     */
+    constructor(info) {
+        this.#info = info
+        this.#frames = null
+        this.#loading = null
+        this.#retryAt = null
+    }
+
+    /**
+     * Loads the WebVTT thumbnails track, sprite sheet grids don't need loading
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (this.loaded) return Promise.resolve()
+        if (this.#retryAt !== null && !this.failed) this.#loading = null
+        if (!this.#loading) {
+            this.#retryAt = null
+            const url = this.#info.vtt
+            this.#loading = fetch(url).then(response => {
+                if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.status}`)
+                return response.text()
+            }).then(text => {
+                this.#frames = OpenVideoPlayerCaptions.parseVTT(text).map(cue => OpenVideoPlayerStoryboard.#parseFrame(cue, url))
+            }).catch(e => {
+                this.#retryAt = performance.now() + OpenVideoPlayerStoryboard.RETRY_DELAY
+                throw e
+            })
+        }
+        return this.#loading
+    }
+
+    /**
+     * @param cue {{start: number, end: number, text: string}}
+     * @param baseUrl {URL}
+     * @returns {{start: number, end: number, url: URL, x: number, y: number, width: number|null, height: number|null}}
+     */
+    static #parseFrame(cue, baseUrl) {
+        const url = new URL(cue.text.trim(), baseUrl)
+        // Like sprite.jpg#xywh=160,0,160,90, without it the frame is the whole image
+        const match = url.hash.match(/^#xywh=(?:pixel:)?(\d+),(\d+),(\d+),(\d+)$/)
+        url.hash = ""
+        if (!match) return {start: cue.start, end: cue.end, url, x: 0, y: 0, width: null, height: null}
+        const [, x, y, width, height] = match.map(Number)
+        return {start: cue.start, end: cue.end, url, x, y, width, height}
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get loaded() {
+        return !this.#info.vtt || this.#frames !== null
+    }
+
+    /**
+     * Whether the WebVTT thumbnails track is being fetched
+     * @returns {boolean}
+     */
+    get loading() {
+        return this.#loading !== null && !this.loaded && this.#retryAt === null
+    }
+
+    /**
+     * Whether the track failed to load recently, load() returns the same failure until RETRY_DELAY passes
+     * @returns {boolean}
+     */
+    get failed() {
+        return this.#retryAt !== null && performance.now() < this.#retryAt
+    }
+
+    /**
+     * The frame shown at the time, null if there's none or the track isn't loaded yet
+     * @param time {number}
+     * @returns {{url: URL, x: number, y: number, width: number|null, height: number|null}|null}
+     */
+    frameAt(time) {
+        if (this.#info.vtt) {
+            const frame = this.#frames?.find(frame => frame.start <= time && time < frame.end)
+            return frame ? {url: frame.url, x: frame.x, y: frame.y, width: frame.width, height: frame.height} : null
+        }
+
+        const {urls, columns, rows, interval, width, height} = this.#info
+        const index = Math.max(0, Math.floor(time / interval))
+        const perSheet = columns * rows
+        // The last frame of the last sheet for times past the end
+        const sheet = Math.min(Math.floor(index / perSheet), urls.length - 1)
+        const position = Math.min(index - sheet * perSheet, perSheet - 1)
+        return {
+            url: urls[sheet],
+            x: position % columns * width,
+            y: Math.floor(position / columns) * height,
+            width, height
+        }
+    }
+}
+
+class OpenVideoPlayerStreamingEngine extends EventTarget {
+    /**
+     * How many seconds ahead of the current time get buffered
+     * @type {number}
+     */
+    static BUFFER_AHEAD = 30
+    /**
+     * How many seconds behind the current time are kept in the buffer
+     * @type {number}
+     */
+    static BUFFER_BEHIND = 30
+    /**
+     * Thrown when a manifest or a segment can't be downloaded, the rest of the errors are about the stream itself
+     */
+    static DownloadError = class OpenVideoPlayerStreamingEngineDownloadError extends Error {
+    }
+
+    /**
+     * The manifest URL
+     * @type {URL}
+     */
+    #url
+    /**
+     * @type {HTMLVideoElement|null}
+     */
+    #video
+    /**
+     * Everything that belongs to the current attachment to the video, async work of an old session is thrown away
+     * @type {{mediaSource: MediaSource, objectUrl: string, abort: AbortController, streams: Map<string, Object>, timeout: number|null, refreshing: boolean, refreshed: number, ended: boolean}|null}
+     */
+    #session
+    /**
+     * @type {{bandwidth: number, width: number|null, height: number|null, framerate: number|null, codecs: string|null}[]|null}
+     */
+    #variants
+    /**
+     * @type {number}
+     */
+    #variantIndex
+    /**
+     * @type {boolean}
+     */
+    #live
+    /**
+     * @type {function}
+     */
+    #onSeekingBound
+
+    /**
+     * @param url {URL} The manifest URL
+     */
+    constructor(url) {
+        super()
+
+        this.#url = url
+        this.#video = null
+        this.#session = null
+        this.#variants = null
+        this.#variantIndex = -1
+        this.#live = false
+        this.#onSeekingBound = this.#onSeeking.bind(this)
+    }
+
+    /**
+     * Whether the browser supports Media Source Extensions
+     * @returns {boolean}
+     */
+    static get supported() {
+        return typeof MediaSource !== "undefined"
+    }
+
+    /**
+     * The source types that have an engine
+     * @returns {string[]}
+     */
+    static get TYPES() {
+        return [...OpenVideoPlayerHLS.TYPES, ...OpenVideoPlayerDASH.TYPES]
+    }
+
+    /**
+     * Creates an engine for the source type
+     * @param url {URL}
+     * @param type {string}
+     * @returns {OpenVideoPlayerStreamingEngine|null} Null if there's no engine for the type
+     */
+    static create(url, type) {
+        if (OpenVideoPlayerHLS.TYPES.includes(type)) return new OpenVideoPlayerHLS(url)
+        if (OpenVideoPlayerDASH.TYPES.includes(type)) return new OpenVideoPlayerDASH(url)
+        return null
+    }
+
+    /**
+     * @param url {URL}
+     * @param signal {AbortSignal}
+     * @returns {Promise<string>}
+     */
+    static async fetchText(url, signal) {
+        return await OpenVideoPlayerStreamingEngine.#download(url, {signal}, response => response.text())
+    }
+
+    /**
+     * @param url {URL}
+     * @param range {{start: number, end: number}|null} Inclusive byte range
+     * @param signal {AbortSignal}
+     * @returns {Promise<ArrayBuffer>}
+     */
+    static async fetchData(url, range, signal) {
+        const headers = range ? {Range: `bytes=${range.start}-${range.end}`} : {}
+        return await OpenVideoPlayerStreamingEngine.#download(url, {headers, signal}, response => response.arrayBuffer())
+    }
+
+    /**
+     * @param url {URL}
+     * @param options {RequestInit}
+     * @param read {function(Response): Promise<*>}
+     * @returns {Promise<*>}
+     */
+    static async #download(url, options, read) {
+        try {
+            const response = await fetch(url, options)
+            if (!response.ok) throw new Error(`HTTP ${response.status}`)
+            return await read(response)
+        } catch (e) {
+            if (e.name === "AbortError") throw e
+            throw new OpenVideoPlayerStreamingEngine.DownloadError(`Failed to fetch ${url}: ${e.message}`, {cause: e})
+        }
+    }
+
+    /**
+     * Loads the manifest. Implemented by the engines.
+     * @param url {URL}
+     * @param signal {AbortSignal}
+     * @returns {Promise<{variants: {bandwidth: number, width: number|null, height: number|null, framerate: number|null, codecs: string|null}[], live: boolean}>}
+     */
+    async loadManifest(url, signal) {
+        throw new Error("Not implemented")
+    }
+
+    /**
+     * Loads the streams of a variant, called again to refresh live streams. Implemented by the engines.
+     * The kind is "video", "audio" or "muxed", one SourceBuffer is created for each kind.
+     * @param variant {Object} One of the variants returned by loadManifest
+     * @param signal {AbortSignal}
+     * @returns {Promise<{kind: string, mimeType: string, init: {url: URL, range: {start: number, end: number}|null}|null, segments: {id: number, url: URL, range: {start: number, end: number}|null, start: number, duration: number}[], live: boolean, targetDuration: number}[]>}
+     */
+    async loadStreams(variant, signal) {
+        throw new Error("Not implemented")
+    }
+
+    /**
+     * Starts streaming into the video
+     * @param video {HTMLVideoElement}
+     * @param startTime {number} Where to start playing, live streams start near the live edge if 0
+     * @returns {Promise<void>} Never rejects, errors are dispatched as error events
+     */
+    async attach(video, startTime = 0) {
+        this.detach()
+        this.#video = video
+        const session = this.#session = {
+            mediaSource: new MediaSource(),
+            objectUrl: "",
+            abort: new AbortController(),
+            streams: new Map(),
+            timeout: null,
+            refreshing: false,
+            refreshed: 0,
+            ended: false
+        }
+        session.objectUrl = URL.createObjectURL(session.mediaSource)
+
+        try {
+            if (this.#variants === null) {
+                const manifest = await this.loadManifest(this.#url, session.abort.signal)
+                if (!manifest.variants.length) throw new Error("The manifest has no variants")
+                this.#variants = manifest.variants
+                this.#live = manifest.live
+                this.#dispatch("variants")
+            }
+            if (!this.#variants[this.#variantIndex]) this.#variantIndex = 0
+            const tracks = await this.loadStreams(this.#variants[this.#variantIndex], session.abort.signal)
+            if (session !== this.#session) return
+
+            video.src = session.objectUrl
+            await new Promise(resolve => session.mediaSource.addEventListener("sourceopen", resolve, {once: true}))
+            if (session !== this.#session) return
+
+            for (const track of tracks) {
+                if (!MediaSource.isTypeSupported(track.mimeType))
+                    throw new Error(`Unsupported stream type: ${track.mimeType}`)
+                const buffer = session.mediaSource.addSourceBuffer(track.mimeType)
+                buffer.mode = "sequence" // Segments are placed by the timestampOffset
+                session.streams.set(track.kind, {
+                    track, buffer, mimeType: track.mimeType,
+                    needsInit: true, flush: false, busy: false, ended: false, lastSegment: null
+                })
+            }
+            this.#updateDuration(session)
+            if (this.#live) {
+                // Start near the live edge, unless resuming
+                const {start} = this.#liveWindow(session)
+                const liveEdge = this.liveEdge
+                video.currentTime = startTime > 0 ? OpenVideoPlayerUtils.clamp(startTime, start, liveEdge) : liveEdge
+            } else video.currentTime = startTime // Applied once the metadata is loaded
+            video.addEventListener("seeking", this.#onSeekingBound)
+            this.#tick(session)
+        } catch (e) {
+            if (session !== this.#session || e.name === "AbortError") return
+            this.#fail(e)
+        }
+    }
+
+    /**
+     * Stops streaming and releases the video
+     */
+    detach() {
+        const session = this.#session
+        if (!session) return
+        this.#session = null
+        session.abort.abort()
+        if (session.timeout !== null) clearTimeout(session.timeout)
+        URL.revokeObjectURL(session.objectUrl)
+        if (this.#video) {
+            this.#video.removeEventListener("seeking", this.#onSeekingBound)
+            if (this.#video.src === session.objectUrl) {
+                this.#video.removeAttribute("src")
+                this.#video.load()
+            }
+        }
+        this.#video = null
+    }
+
+    /**
+     * Switches to another variant, the already buffered part is kept
+     * @param index {number}
+     */
+    async selectVariant(index) {
+        if (!this.#variants || !this.#variants[index]) throw new Error(`No variant with index ${index}`)
+        if (index === this.#variantIndex) return
+        this.#variantIndex = index
+
+        const session = this.#session
+        if (!session || !session.streams.size) return // Will be used when attached
+        try {
+            const tracks = await this.loadStreams(this.#variants[index], session.abort.signal)
+            if (session !== this.#session || index !== this.#variantIndex) return
+            const sameKinds = tracks.length === session.streams.size && tracks.every(track => session.streams.has(track.kind))
+            if (!sameKinds) {
+                // The SourceBuffers can't be changed once playing, start over
+                await this.attach(this.#video, this.#video.currentTime)
+                return
+            }
+            for (const track of tracks) {
+                const stream = session.streams.get(track.kind)
+                stream.track = track
+                stream.needsInit = true
+                stream.flush = true
+                stream.lastSegment = null
+            }
+            this.#tick(session)
+        } catch (e) {
+            if (session !== this.#session || e.name === "AbortError") return
+            this.#fail(e)
+        }
+    }
+
+    #onSeeking() {
+        const session = this.#session
+        if (!session) return
+        for (const stream of session.streams.values()) {
+            stream.lastSegment = null // Look the segment up by time again
+            stream.ended = false
+        }
+        session.ended = false
+        this.#tick(session)
+    }
+
+    /**
+     * @param session {Object}
+     */
+    #tick(session) {
+        if (session !== this.#session) return
+        if (session.timeout !== null) clearTimeout(session.timeout)
+        session.timeout = setTimeout(() => {
+            session.timeout = null
+            this.#tick(session)
+        }, 250)
+
+        for (const stream of session.streams.values()) {
+            if (!stream.busy) this.#feed(session, stream)
+        }
+        if (this.#live) this.#refreshLive(session)
+        this.#checkEnded(session)
+    }
+
+    /**
+     * Appends the next piece of data the stream needs
+     * @param session {Object}
+     * @param stream {Object}
+     */
+    async #feed(session, stream) {
+        const video = this.#video
+        const buffer = stream.buffer
+        const signal = session.abort.signal
+        stream.busy = true
+        try {
+            if (stream.flush) {
+                // Drop what was buffered ahead in the previous variant, so the switch is visible soon
+                stream.flush = false
+                const from = video.currentTime + 1
+                if (buffer.buffered.length && buffer.buffered.end(buffer.buffered.length - 1) > from)
+                    await OpenVideoPlayerStreamingEngine.#bufferOperation(buffer, () => buffer.remove(from, Infinity))
+            }
+            if (stream.needsInit) {
+                if (stream.mimeType !== stream.track.mimeType) {
+                    buffer.changeType(stream.track.mimeType)
+                    stream.mimeType = stream.track.mimeType
+                }
+                const init = stream.track.init
+                if (init) {
+                    const data = await OpenVideoPlayerStreamingEngine.fetchData(init.url, init.range, signal)
+                    if (session !== this.#session) return
+                    await OpenVideoPlayerStreamingEngine.#bufferOperation(buffer, () => buffer.appendBuffer(data))
+                }
+                stream.needsInit = false
+            }
+
+            const currentTime = video.currentTime
+            const bufferedEnd = OpenVideoPlayerStreamingEngine.#bufferedEnd(buffer, currentTime)
+            if (bufferedEnd - currentTime >= OpenVideoPlayerStreamingEngine.BUFFER_AHEAD) {
+                await this.#trimBackBuffer(buffer, currentTime)
+                return
+            }
+
+            const segment = this.#nextSegment(stream, bufferedEnd)
+            if (!segment) {
+                stream.ended = true
+                return
+            }
+            const downloadStart = performance.now()
+            const data = await OpenVideoPlayerStreamingEngine.fetchData(segment.url, segment.range, signal)
+            if (session !== this.#session) return
+            this.#dispatch("download", null, {bytes: data.byteLength, duration: (performance.now() - downloadStart) / 1000})
+            await OpenVideoPlayerStreamingEngine.#bufferOperation(buffer, () => buffer.timestampOffset = segment.start)
+            await OpenVideoPlayerStreamingEngine.#bufferOperation(buffer, () => buffer.appendBuffer(data))
+            stream.lastSegment = segment
+        } catch (e) {
+            if (session !== this.#session || e.name === "AbortError") return
+            if (e.name === "QuotaExceededError") await this.#trimBackBuffer(buffer, video.currentTime, 0)
+            else this.#fail(e)
+        } finally {
+            stream.busy = false
+        }
+    }
+
+    /**
+     * @param stream {Object}
+     * @param bufferedEnd {number}
+     * @returns {{id: number, url: URL, range: {start: number, end: number}|null, start: number, duration: number}|null}
+     */
+    #nextSegment(stream, bufferedEnd) {
+        const segments = stream.track.segments
+        const last = stream.lastSegment
+        // Continue after the last appended segment, its buffered end may differ slightly from the manifest
+        if (last && bufferedEnd >= last.start && bufferedEnd < last.start + last.duration + .5) {
+            const index = segments.findIndex(segment => segment.id === last.id)
+            if (index !== -1) return segments[index + 1] || null
+        }
+        return segments.find(segment => segment.start + segment.duration > bufferedEnd) || null
+    }
+
+    /**
+     * @param buffer {SourceBuffer}
+     * @param currentTime {number}
+     * @param keep {number} Seconds to keep behind the current time
+     */
+    async #trimBackBuffer(buffer, currentTime, keep = OpenVideoPlayerStreamingEngine.BUFFER_BEHIND) {
+        if (!buffer.buffered.length) return
+        const start = buffer.buffered.start(0)
+        const end = currentTime - keep
+        if (end - start < (keep ? 10 : 1)) return // Not worth it
+        await OpenVideoPlayerStreamingEngine.#bufferOperation(buffer, () => buffer.remove(start, end))
+    }
+
+    /**
+     * Reloads the live playlists every target duration
+     * @param session {Object}
+     */
+    async #refreshLive(session) {
+        const {targetDuration} = this.#liveWindow(session)
+        if (session.refreshing || performance.now() - session.refreshed < targetDuration * 1000) return
+        session.refreshing = true
+        try {
+            const tracks = await this.loadStreams(this.#variants[this.#variantIndex], session.abort.signal)
+            if (session !== this.#session) return
+            for (const track of tracks) {
+                const stream = session.streams.get(track.kind)
+                if (stream && stream.track.mimeType === track.mimeType) stream.track = track
+            }
+            this.#live = tracks.some(track => track.live)
+            this.#updateDuration(session)
+        } catch (e) {
+            if (session !== this.#session || e.name === "AbortError") return
+            console.error("Failed to refresh the live stream:", e)
+        } finally {
+            session.refreshing = false
+            session.refreshed = performance.now()
+        }
+    }
+
+    /**
+     * @param session {Object}
+     * @returns {{start: number, end: number, targetDuration: number}}
+     */
+    #liveWindow(session) {
+        let start = 0, end = 0, targetDuration = 2
+        for (const {track} of session.streams.values()) {
+            const first = track.segments[0], last = track.segments[track.segments.length - 1]
+            if (first) start = Math.max(start, first.start)
+            if (last) end = Math.max(end, last.start + last.duration)
+            targetDuration = Math.max(targetDuration, track.targetDuration || 0)
+        }
+        return {start, end, targetDuration}
+    }
+
+    /**
+     * @param session {Object}
+     */
+    #updateDuration(session) {
+        const mediaSource = session.mediaSource
+        if (mediaSource.readyState !== "open") return
+        if ([...session.streams.values()].some(stream => stream.buffer.updating)) return // Can't be changed now
+        const {start, end} = this.#liveWindow(session)
+        if (this.#live) {
+            if (mediaSource.duration !== Infinity) mediaSource.duration = Infinity
+            mediaSource.setLiveSeekableRange?.(start, end)
+        } else if (end > 0 && mediaSource.duration !== end) mediaSource.duration = end
+    }
+
+    /**
+     * Signals the end of the stream once everything is buffered
+     * @param session {Object}
+     */
+    #checkEnded(session) {
+        if (this.#live || session.ended || !session.streams.size) return
+        const streams = [...session.streams.values()]
+        if (!streams.every(stream => stream.ended && !stream.busy && !stream.buffer.updating)) return
+        if (session.mediaSource.readyState !== "open") return
+        session.ended = true
+        session.mediaSource.endOfStream()
+    }
+
+    #fail(error) {
+        console.error("Streaming failed:", error)
+        this.#dispatch("error", error)
+    }
+
+    /**
+     * @param type {"variants"|"error"|"download"}
+     * @param error {Error|null}
+     * @param download {{bytes: number, duration: number}|null} How big a downloaded segment was and how long it took in seconds
+     */
+    #dispatch(type, error = null, download = null) {
+        const engine = this
+        this.dispatchEvent(new class OpenVideoPlayerStreamingEngineEvent extends Event {
+            error = error
+            download = download
+            target = engine
+
+            constructor() {
+                super(type);
+            }
+        })
+    }
+
+    /**
+     * Runs an operation on the SourceBuffer, resolving once it's done
+     * @param buffer {SourceBuffer}
+     * @param operation {function}
+     * @returns {Promise<void>}
+     */
+    static #bufferOperation(buffer, operation) {
+        return new Promise((resolve, reject) => {
+            if (buffer.updating) return reject(new Error("The SourceBuffer is busy"))
+            const onUpdateEnd = () => {
+                cleanup()
+                resolve()
+            }
+            const onError = () => {
+                cleanup()
+                reject(new Error("Failed to update the SourceBuffer"))
+            }
+            const cleanup = () => {
+                buffer.removeEventListener("updateend", onUpdateEnd)
+                buffer.removeEventListener("error", onError)
+            }
+            buffer.addEventListener("updateend", onUpdateEnd)
+            buffer.addEventListener("error", onError)
+            try {
+                operation()
+            } catch (e) {
+                cleanup()
+                return reject(e)
+            }
+            if (!buffer.updating) { // Setting the timestampOffset is synchronous
+                cleanup()
+                resolve()
+            }
+        })
+    }
+
+    /**
+     * The end of the buffered range that contains the time, or the time itself if it's not buffered
+     * @param buffer {SourceBuffer}
+     * @param time {number}
+     * @returns {number}
+     */
+    static #bufferedEnd(buffer, time) {
+        const buffered = buffer.buffered
+        for (let i = 0; i < buffered.length; i++) {
+            // A small tolerance for the gaps between segments
+            if (buffered.start(i) - .1 <= time && time <= buffered.end(i) + .1) return Math.max(time, buffered.end(i))
+        }
+        return time
+    }
+
+    /**
+     * The variants of the manifest, null if it hasn't been loaded yet
+     * @returns {{bandwidth: number, width: number|null, height: number|null, framerate: number|null, codecs: string|null}[]|null}
+     */
+    get variants() {
+        return this.#variants && this.#variants.map(({bandwidth, width, height, framerate, codecs}) => ({bandwidth, width, height, framerate, codecs}))
+    }
+
+    /**
+     * @returns {number}
+     */
+    get variantIndex() {
+        return this.#variantIndex
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get live() {
+        return this.#live
+    }
+
+    /**
+     * Where live playback should be, a few segments behind the newest one so it doesn't run out of them. Null if not live.
+     * @returns {number|null}
+     */
+    get liveEdge() {
+        if (!this.#live || !this.#session) return null
+        const {start, end, targetDuration} = this.#liveWindow(this.#session)
+        return Math.max(start, end - 3 * targetDuration)
+    }
+}
+
+class OpenVideoPlayerHLS extends OpenVideoPlayerStreamingEngine {
+    static TYPES = ["application/vnd.apple.mpegurl", "application/x-mpegurl", "audio/mpegurl"]
+    static #VIDEO_CODECS = ["avc1", "avc3", "hvc1", "hev1", "vp09", "vp9", "av01", "dvh1", "dvhe"]
+
+    /**
+     * The start times of the live playlists' segments by their media sequence numbers and where the playlists end.
+     * Variants have the same sequence numbers for the same media, so they all share it.
+     * @type {{starts: Map<number, number>, end: number}}
+     */
+    #timeline
+
+    constructor(url) {
+        super(url)
+
+        this.#timeline = {starts: new Map(), end: 0}
+    }
+
+    async loadManifest(url, signal) {
+        const playlist = OpenVideoPlayerHLS.parsePlaylist(await OpenVideoPlayerStreamingEngine.fetchText(url, signal), url)
+        if (playlist.type === "media") {
+            // Just a media playlist, there's a single variant
+            return {
+                variants: [{bandwidth: 0, width: null, height: null, framerate: null, codecs: null, url, audio: null}],
+                live: !playlist.endList
+            }
+        }
+
+        const variants = playlist.variants.map(variant => {
+            // An alternative audio rendition, if the variant's audio isn't muxed in
+            const group = playlist.media.filter(media => media.type === "AUDIO" && media.groupId === variant.audioGroup && media.url)
+            const audio = group.find(media => media.default) || group[0] || null
+            return {...variant, audio: audio && audio.url}
+        })
+        // Find out whether it's live
+        const first = OpenVideoPlayerHLS.parsePlaylist(await OpenVideoPlayerStreamingEngine.fetchText(variants[0].url, signal), variants[0].url)
+        return {variants, live: !first.endList}
+    }
+
+    async loadStreams(variant, signal) {
+        const codecs = (variant.codecs || "").split(",").map(codec => codec.trim()).filter(Boolean)
+        const isVideoCodec = codec => OpenVideoPlayerHLS.#VIDEO_CODECS.includes(codec.split(".")[0])
+        const videoCodecs = codecs.filter(isVideoCodec)
+        const audioCodecs = codecs.filter(codec => !isVideoCodec(codec))
+
+        const playlists = [{kind: variant.audio ? "video" : "muxed", url: variant.url, codecs: variant.audio ? videoCodecs : codecs}]
+        if (variant.audio) playlists.push({kind: "audio", url: variant.audio, codecs: audioCodecs})
+
+        return await Promise.all(playlists.map(async ({kind, url, codecs}) => {
+            const playlist = OpenVideoPlayerHLS.parsePlaylist(await OpenVideoPlayerStreamingEngine.fetchText(url, signal), url)
+            if (playlist.type !== "media") throw new Error(`Expected a media playlist: ${url}`)
+            this.#assignStartTimes(playlist)
+
+            const fmp4 = playlist.init !== null
+            if (!codecs.length) codecs = kind === "audio" ? ["mp4a.40.2"] : ["avc1.42E01E", "mp4a.40.2"] // A guess
+            const isAudioOnly = !codecs.some(isVideoCodec)
+            const mimeType = `${isAudioOnly ? "audio" : "video"}/${fmp4 ? "mp4" : "mp2t"}; codecs="${codecs.join(",")}"`
+            // MPEG-TS segments aren't transmuxed into fMP4, the stream is an unsupported source then (not a failed download)
+            if (!fmp4 && !MediaSource.isTypeSupported(mimeType))
+                throw new Error("This browser can't play MPEG-TS segments through Media Source Extensions, only fMP4 ones")
+
+            return {
+                kind, mimeType,
+                init: playlist.init,
+                segments: playlist.segments,
+                live: !playlist.endList,
+                targetDuration: playlist.targetDuration
+            }
+        }))
+    }
+
+    /**
+     * Places the segments on the timeline. VOD playlists start at 0, live playlists continue where they were, even
+     * after switching variants.
+     * @param playlist {{segments: {id: number, start: number, duration: number}[]}}
+     */
+    #assignStartTimes(playlist) {
+        const segments = playlist.segments
+        const timeline = this.#timeline
+        const anchorIndex = segments.findIndex(segment => timeline.starts.has(segment.id))
+        // Without a known segment, it's the first load, or the playlist has moved past everything known
+        let time = anchorIndex === -1 ? timeline.end : timeline.starts.get(segments[anchorIndex].id)
+        for (let i = anchorIndex - 1; i >= 0; i--) segments[i].start = (time -= segments[i].duration)
+        if (anchorIndex !== -1) time = timeline.starts.get(segments[anchorIndex].id)
+        for (let i = Math.max(anchorIndex, 0); i < segments.length; i++) {
+            segments[i].start = time
+            time += segments[i].duration
+        }
+
+        if (playlist.endList || !segments.length) return
+        // The segments that left the playlist are forgotten
+        for (const id of timeline.starts.keys()) {
+            if (id < segments[0].id) timeline.starts.delete(id)
+        }
+        segments.forEach(segment => timeline.starts.set(segment.id, segment.start))
+        timeline.end = Math.max(timeline.end, time)
+    }
+
+    /**
+     * Parses an attribute list, like BANDWIDTH=1280000,CODECS="avc1.4d401f,mp4a.40.2"
+     * @param text {string}
+     * @returns {Map<string, string>}
+     */
+    static #parseAttributes(text) {
+        const attributes = new Map()
+        for (const match of text.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+            attributes.set(match[1], match[2].replace(/^"|"$/g, ""))
+        }
+        return attributes
+    }
+
+    /**
+     * Parses a byte range, like 1000@2000
+     * @param text {string}
+     * @param previousEnd {number} Where the range starts if the offset is missing
+     * @returns {{start: number, end: number}}
+     */
+    static #parseByteRange(text, previousEnd) {
+        const [length, offset] = text.split("@").map(Number)
+        const start = isNaN(offset) ? previousEnd : offset
+        return {start, end: start + length - 1}
+    }
+
+    /**
+     * Parses a master or a media playlist
+     * @param text {string}
+     * @param baseUrl {URL} The playlist URL, which the URIs are relative to
+     * @returns {{type: "master", variants: Object[], media: Object[]}|{type: "media", targetDuration: number, endList: boolean, init: {url: URL, range: {start: number, end: number}|null}|null, segments: {id: number, url: URL, range: {start: number, end: number}|null, start: number, duration: number}[]}}
+     */
+    static parsePlaylist(text, baseUrl) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+        if (lines[0] !== "#EXTM3U") throw new Error("Not an M3U8 playlist")
+
+        if (lines.some(line => line.startsWith("#EXT-X-STREAM-INF:"))) {
+            const variants = [], media = []
+            for (let i = 0; i < lines.length; i++) {
+                const line = lines[i]
+                if (line.startsWith("#EXT-X-STREAM-INF:")) {
+                    const attributes = OpenVideoPlayerHLS.#parseAttributes(line.substring(line.indexOf(":") + 1))
+                    const uri = lines.slice(i + 1).find(next => !next.startsWith("#"))
+                    if (!uri) continue
+                    const [width, height] = (attributes.get("RESOLUTION") || "").split("x").map(Number)
+                    variants.push({
+                        bandwidth: Number(attributes.get("BANDWIDTH")) || 0,
+                        width: width || null,
+                        height: height || null,
+                        framerate: Number(attributes.get("FRAME-RATE")) || null,
+                        codecs: attributes.get("CODECS") || null,
+                        audioGroup: attributes.get("AUDIO") || null,
+                        url: new URL(uri, baseUrl)
+                    })
+                } else if (line.startsWith("#EXT-X-MEDIA:")) {
+                    const attributes = OpenVideoPlayerHLS.#parseAttributes(line.substring(line.indexOf(":") + 1))
+                    media.push({
+                        type: attributes.get("TYPE"),
+                        groupId: attributes.get("GROUP-ID"),
+                        name: attributes.get("NAME"),
+                        language: attributes.get("LANGUAGE") || null,
+                        default: attributes.get("DEFAULT") === "YES",
+                        url: attributes.has("URI") ? new URL(attributes.get("URI"), baseUrl) : null
+                    })
+                }
+            }
+            return {type: "master", variants, media}
+        }
+
+        const playlist = {type: "media", targetDuration: 0, endList: false, init: null, segments: []}
+        let sequence = 0, duration = 0, range = null, rangeEnd = 0
+        for (const line of lines) {
+            if (!line.startsWith("#")) {
+                playlist.segments.push({id: sequence++, url: new URL(line, baseUrl), range, start: 0, duration})
+                if (range) rangeEnd = range.end + 1
+                range = null
+                continue
+            }
+            const colon = line.indexOf(":")
+            const tag = colon === -1 ? line : line.substring(0, colon)
+            const value = colon === -1 ? "" : line.substring(colon + 1)
+            switch (tag) {
+                case "#EXT-X-TARGETDURATION":
+                    playlist.targetDuration = Number(value)
+                    break
+                case "#EXT-X-MEDIA-SEQUENCE":
+                    sequence = Number(value)
+                    break
+                case "#EXTINF":
+                    duration = parseFloat(value)
+                    break
+                case "#EXT-X-BYTERANGE":
+                    range = OpenVideoPlayerHLS.#parseByteRange(value, rangeEnd)
+                    break
+                case "#EXT-X-ENDLIST":
+                    playlist.endList = true
+                    break
+                case "#EXT-X-PLAYLIST-TYPE":
+                    if (value === "VOD") playlist.endList = true
+                    break
+                case "#EXT-X-MAP": {
+                    const attributes = OpenVideoPlayerHLS.#parseAttributes(value)
+                    playlist.init = {
+                        url: new URL(attributes.get("URI"), baseUrl),
+                        range: attributes.has("BYTERANGE") ? OpenVideoPlayerHLS.#parseByteRange(attributes.get("BYTERANGE"), 0) : null
+                    }
+                    break
+                }
+                case "#EXT-X-KEY": {
+                    const method = OpenVideoPlayerHLS.#parseAttributes(value).get("METHOD")
+                    if (method !== "NONE") throw new Error(`Encrypted HLS streams aren't supported (${method})`)
+                    break
+                }
+            }
+        }
+        return playlist
+    }
+}
+
+class OpenVideoPlayerDASH extends OpenVideoPlayerStreamingEngine {
+    static TYPES = ["application/dash+xml"]
+
+    /**
+     * The last loaded manifest, reloaded for live streams
+     * @type {Object|null}
+     */
+    #manifest
+    /**
+     * When the manifest was loaded, from performance.now()
+     * @type {number}
+     */
+    #manifestLoaded
+    /**
+     * The segments read from the sidx boxes of SegmentBase representations, by their index URLs and ranges
+     * @type {Map<string, {range: {start: number, end: number}, start: number, duration: number}[]>}
+     */
+    #indexes
+
+    constructor(url) {
+        super(url)
+
+        this.#manifest = null
+        this.#manifestLoaded = 0
+        this.#indexes = new Map()
+    }
+
+    async #loadManifest(url, signal) {
+        this.#manifest = OpenVideoPlayerDASH.parseManifest(await OpenVideoPlayerStreamingEngine.fetchText(url, signal), url)
+        this.#manifestLoaded = performance.now()
+        return this.#manifest
+    }
+
+    async loadManifest(url, signal) {
+        const manifest = await this.#loadManifest(url, signal)
+        const main = OpenVideoPlayerDASH.#findSet(manifest, "video") || OpenVideoPlayerDASH.#findSet(manifest, "audio")
+        if (!main) throw new Error("The manifest has no video nor audio")
+        return {
+            variants: main.representations.map(representation => ({
+                bandwidth: representation.bandwidth,
+                width: representation.width,
+                height: representation.height,
+                framerate: representation.framerate,
+                codecs: representation.codecs,
+                id: representation.id,
+                manifestUrl: url
+            })),
+            live: manifest.dynamic
+        }
+    }
+
+    async loadStreams(variant, signal) {
+        // Live manifests change, the first call comes right after loadManifest though
+        if (this.#manifest.dynamic && performance.now() - this.#manifestLoaded > 1000)
+            await this.#loadManifest(variant.manifestUrl, signal)
+        const manifest = this.#manifest
+
+        const videoSet = OpenVideoPlayerDASH.#findSet(manifest, "video")
+        const audioSet = OpenVideoPlayerDASH.#findSet(manifest, "audio")
+        const main = videoSet || audioSet
+        const representation = main.representations.find(representation => representation.id === variant.id)
+        if (!representation) throw new Error(`Representation "${variant.id}" isn't in the manifest anymore`)
+
+        const streams = [await this.#buildStream(videoSet ? "video" : "audio", representation, manifest, signal)]
+        if (videoSet && audioSet) {
+            // The audio is small compared to the video, take the best one
+            const audio = audioSet.representations.reduce((best, representation) => representation.bandwidth > best.bandwidth ? representation : best)
+            streams.push(await this.#buildStream("audio", audio, manifest, signal))
+        }
+        return streams
+    }
+
+    /**
+     * The adaptation set of the content type, preferring the user's language
+     * @param manifest {Object}
+     * @param contentType {"video"|"audio"}
+     * @returns {Object|undefined}
+     */
+    static #findSet(manifest, contentType) {
+        const sets = manifest.adaptationSets.filter(set => set.contentType === contentType && set.representations.length)
+        const language = (navigator.language || "").split("-")[0]
+        return sets.find(set => set.lang && set.lang.split("-")[0] === language) || sets[0]
+    }
+
+    /**
+     * @param kind {string}
+     * @param representation {Object}
+     * @param manifest {Object}
+     * @param signal {AbortSignal}
+     * @returns {Promise<Object>} The stream, as returned by loadStreams
+     */
+    async #buildStream(kind, representation, manifest, signal) {
+        const info = representation.segmentInfo
+        let init, segments
+        if (info.type === "template") ({init, segments} = OpenVideoPlayerDASH.#templateSegments(representation, manifest))
+        else if (info.type === "list") ({init, segments} = OpenVideoPlayerDASH.#listSegments(representation, manifest))
+        else if (info.type === "base") ({init, segments} = await this.#baseSegments(representation, manifest, signal))
+        else throw new Error(`Representation "${representation.id}" has no segment information`)
+
+        const segmentDuration = segments.length ? segments[0].duration : 2
+        return {
+            kind,
+            mimeType: `${representation.mimeType}; codecs="${representation.codecs}"`,
+            init, segments,
+            live: manifest.dynamic,
+            targetDuration: manifest.minimumUpdatePeriod || segmentDuration
+        }
+    }
+
+    /**
+     * Fills in a SegmentTemplate, like video-$RepresentationID$-$Number%05d$.m4s
+     * @param template {string}
+     * @param values {{RepresentationID: string, Number: number|undefined, Time: number|undefined, Bandwidth: number}}
+     * @returns {string}
+     */
+    static #fillTemplate(template, values) {
+        return template.replace(/\$(RepresentationID|Number|Time|Bandwidth)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+            const value = String(values[name])
+            return width ? value.padStart(Number(width), "0") : value
+        }).replace(/\$\$/g, "$")
+    }
+
+    static #templateSegments(representation, manifest) {
+        const info = representation.segmentInfo
+        const values = {RepresentationID: representation.id, Bandwidth: representation.bandwidth}
+        const init = info.initialization ? {
+            url: new URL(OpenVideoPlayerDASH.#fillTemplate(info.initialization, values), representation.baseUrl),
+            range: null
+        } : null
+        const toSegment = (number, time, duration) => ({
+            id: number,
+            url: new URL(OpenVideoPlayerDASH.#fillTemplate(info.media, {...values, Number: number, Time: time}), representation.baseUrl),
+            range: null,
+            start: manifest.periodStart + (time - info.presentationTimeOffset) / info.timescale,
+            duration: duration / info.timescale
+        })
+        const now = Date.now() / 1000 - manifest.availabilityStartTime / 1000 - manifest.periodStart // Seconds of the period that are available
+        const segments = []
+
+        if (info.timeline) {
+            let time = 0, number = info.startNumber
+            info.timeline.forEach((entry, i) => {
+                if (entry.t !== null) time = entry.t
+                let repeat = entry.r
+                if (repeat < 0) {
+                    // Repeat until the next entry, the end of the period or now
+                    const next = info.timeline[i + 1]
+                    const end = next && next.t !== null ? next.t :
+                        info.presentationTimeOffset + (manifest.dynamic ? now : manifest.duration) * info.timescale
+                    repeat = Math.ceil((end - time) / entry.d) - 1
+                }
+                for (let j = 0; j <= repeat; j++) {
+                    segments.push(toSegment(number++, time, entry.d))
+                    time += entry.d
+                }
+            })
+            return {init, segments}
+        }
+
+        if (!info.duration) throw new Error(`Representation "${representation.id}" has neither a SegmentTimeline nor a duration`)
+        const segmentDuration = info.duration / info.timescale
+        let first = 0, last
+        if (manifest.dynamic) {
+            last = Math.floor(now / segmentDuration) - 1 // The last complete segment
+            const depth = Math.min(manifest.timeShiftBufferDepth, 600) // Don't list hours of segments
+            first = Math.max(0, last - Math.ceil(depth / segmentDuration))
+        } else last = Math.ceil(manifest.duration / segmentDuration) - 1
+        for (let i = first; i <= last; i++) {
+            segments.push(toSegment(info.startNumber + i, info.presentationTimeOffset + i * info.duration, info.duration))
+        }
+        return {init, segments}
+    }
+
+    static #listSegments(representation, manifest) {
+        const info = representation.segmentInfo
+        const init = info.initialization ? {
+            url: info.initialization.url ? new URL(info.initialization.url, representation.baseUrl) : representation.baseUrl,
+            range: info.initialization.range
+        } : null
+        const segmentDuration = info.duration / info.timescale
+        const segments = info.segmentUrls.map((segmentUrl, i) => ({
+            id: info.startNumber + i,
+            url: segmentUrl.media ? new URL(segmentUrl.media, representation.baseUrl) : representation.baseUrl,
+            range: segmentUrl.range,
+            start: manifest.periodStart + i * segmentDuration,
+            duration: segmentDuration
+        }))
+        return {init, segments}
+    }
+
+    async #baseSegments(representation, manifest, signal) {
+        const info = representation.segmentInfo
+        const url = representation.baseUrl
+        if (!info.indexRange) throw new Error(`Representation "${representation.id}" has no indexRange`)
+        // The initialization usually takes everything before the index
+        const init = {
+            url: info.initialization?.url ? new URL(info.initialization.url, url) : url,
+            range: info.initialization?.range || {start: 0, end: info.indexRange.start - 1}
+        }
+
+        const key = `${url} ${info.indexRange.start}-${info.indexRange.end}`
+        if (!this.#indexes.has(key)) {
+            const data = await OpenVideoPlayerStreamingEngine.fetchData(url, info.indexRange, signal)
+            this.#indexes.set(key, OpenVideoPlayerDASH.parseSidx(data, info.indexRange.start))
+        }
+        const segments = this.#indexes.get(key).map((reference, i) => ({
+            id: i,
+            url,
+            range: reference.range,
+            start: manifest.periodStart + reference.start - info.presentationTimeOffset / info.timescale,
+            duration: reference.duration
+        }))
+        return {init, segments}
+    }
+
+    /**
+     * Parses the segment index (sidx) box
+     * @param data {ArrayBuffer} The data that starts with the box
+     * @param offset {number} The data's offset within the file
+     * @returns {{range: {start: number, end: number}, start: number, duration: number}[]}
+     */
+    static parseSidx(data, offset) {
+        const view = new DataView(data)
+        let position = 0
+        // Skip other boxes, if there are any
+        while (position + 8 <= view.byteLength && view.getUint32(position + 4) !== 0x73696478) { // "sidx"
+            const size = view.getUint32(position)
+            if (size < 8) throw new Error("Invalid box in the segment index")
+            position += size
+        }
+        if (position + 8 > view.byteLength) throw new Error("No sidx box found in the segment index")
+
+        const boxEnd = position + view.getUint32(position)
+        const version = view.getUint8(position + 8)
+        const timescale = view.getUint32(position + 16)
+        let earliestTime, firstOffset
+        position += 20
+        if (version === 0) {
+            earliestTime = view.getUint32(position)
+            firstOffset = view.getUint32(position + 4)
+            position += 8
+        } else {
+            earliestTime = Number(view.getBigUint64(position))
+            firstOffset = Number(view.getBigUint64(position + 8))
+            position += 16
+        }
+        const referenceCount = view.getUint16(position + 2)
+        position += 4
+
+        const references = []
+        let start = offset + boxEnd + firstOffset, time = earliestTime
+        for (let i = 0; i < referenceCount; i++) {
+            const size = view.getUint32(position) & 0x7fffffff // The top bit is the reference type
+            const duration = view.getUint32(position + 4)
+            references.push({range: {start, end: start + size - 1}, start: time / timescale, duration: duration / timescale})
+            start += size
+            time += duration
+            position += 12
+        }
+        return references
+    }
+
+    /**
+     * Parses an ISO 8601 duration, like PT1H2M3.5S
+     * @param text {string|null}
+     * @returns {number|null} Seconds
+     */
+    static #parseDuration(text) {
+        const match = text && text.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/)
+        if (!match) return null
+        const [, days, hours, minutes, seconds] = match.map(x => Number(x) || 0)
+        return days * 86400 + hours * 3600 + minutes * 60 + seconds
+    }
+
+    /**
+     * @param text {string|null} Like "1000-2000"
+     * @returns {{start: number, end: number}|null}
+     */
+    static #parseRange(text) {
+        if (!text) return null
+        const [start, end] = text.split("-").map(Number)
+        return {start, end}
+    }
+
+    /**
+     * @param element {Element}
+     * @param name {string}
+     * @returns {Element[]}
+     */
+    static #children(element, name) {
+        return element ? Array.from(element.children).filter(child => child.localName === name) : []
+    }
+
+    /**
+     * @param element {Element}
+     * @param base {URL}
+     * @returns {URL}
+     */
+    static #resolveBase(element, base) {
+        const baseUrl = OpenVideoPlayerDASH.#children(element, "BaseURL")[0]
+        return baseUrl ? new URL(baseUrl.textContent.trim(), base) : base
+    }
+
+    /**
+     * Reads the segment information, the one closest to the representation wins
+     * @param elements {Element[]} The period, adaptation set and representation
+     * @returns {Object}
+     */
+    static #parseSegmentInfo(elements) {
+        const attribute = (nodes, name) => {
+            for (let i = nodes.length - 1; i >= 0; i--) {
+                if (nodes[i].hasAttribute(name)) return nodes[i].getAttribute(name)
+            }
+            return null
+        }
+        const common = nodes => ({
+            timescale: Number(attribute(nodes, "timescale")) || 1,
+            duration: Number(attribute(nodes, "duration")) || 0,
+            startNumber: Number(attribute(nodes, "startNumber") ?? 1),
+            presentationTimeOffset: Number(attribute(nodes, "presentationTimeOffset")) || 0
+        })
+        const initialization = nodes => {
+            const element = nodes.map(node => OpenVideoPlayerDASH.#children(node, "Initialization")[0]).filter(Boolean).pop()
+            return element ? {url: element.getAttribute("sourceURL"), range: OpenVideoPlayerDASH.#parseRange(element.getAttribute("range"))} : null
+        }
+
+        const templates = elements.map(element => OpenVideoPlayerDASH.#children(element, "SegmentTemplate")[0]).filter(Boolean)
+        if (templates.length) {
+            const timeline = templates.map(template => OpenVideoPlayerDASH.#children(template, "SegmentTimeline")[0]).filter(Boolean).pop()
+            return {
+                type: "template",
+                ...common(templates),
+                media: attribute(templates, "media"),
+                initialization: attribute(templates, "initialization"),
+                timeline: timeline ? OpenVideoPlayerDASH.#children(timeline, "S").map(entry => ({
+                    t: entry.hasAttribute("t") ? Number(entry.getAttribute("t")) : null,
+                    d: Number(entry.getAttribute("d")),
+                    r: Number(entry.getAttribute("r")) || 0
+                })) : null
+            }
+        }
+
+        const lists = elements.map(element => OpenVideoPlayerDASH.#children(element, "SegmentList")[0]).filter(Boolean)
+        if (lists.length) {
+            return {
+                type: "list",
+                ...common(lists),
+                initialization: initialization(lists),
+                segmentUrls: OpenVideoPlayerDASH.#children(lists[lists.length - 1], "SegmentURL").map(segmentUrl => ({
+                    media: segmentUrl.getAttribute("media"),
+                    range: OpenVideoPlayerDASH.#parseRange(segmentUrl.getAttribute("mediaRange"))
+                }))
+            }
+        }
+
+        const bases = elements.map(element => OpenVideoPlayerDASH.#children(element, "SegmentBase")[0]).filter(Boolean)
+        if (bases.length) {
+            return {
+                type: "base",
+                ...common(bases),
+                initialization: initialization(bases),
+                indexRange: OpenVideoPlayerDASH.#parseRange(attribute(bases, "indexRange"))
+            }
+        }
+        return {type: null}
+    }
+
+    /**
+     * Parses an MPD manifest. Only the first period is played.
+     * @param text {string}
+     * @param url {URL} The manifest URL, which the BaseURLs are relative to
+     * @returns {{dynamic: boolean, duration: number, periodStart: number, availabilityStartTime: number, timeShiftBufferDepth: number, minimumUpdatePeriod: number|null, adaptationSets: {contentType: string, lang: string|null, representations: Object[]}[]}}
+     */
+    static parseManifest(text, url) {
+        const document = new DOMParser().parseFromString(text, "application/xml")
+        const mpd = document.documentElement
+        if (!mpd || mpd.localName !== "MPD") throw new Error("Not an MPD manifest")
+        const period = OpenVideoPlayerDASH.#children(mpd, "Period")[0]
+        if (!period) throw new Error("The manifest has no period")
+        const periodBase = OpenVideoPlayerDASH.#resolveBase(period, OpenVideoPlayerDASH.#resolveBase(mpd, url))
+
+        const manifest = {
+            dynamic: mpd.getAttribute("type") === "dynamic",
+            duration: OpenVideoPlayerDASH.#parseDuration(mpd.getAttribute("mediaPresentationDuration")) ??
+                OpenVideoPlayerDASH.#parseDuration(period.getAttribute("duration")) ?? 0,
+            periodStart: OpenVideoPlayerDASH.#parseDuration(period.getAttribute("start")) ?? 0,
+            availabilityStartTime: Date.parse(mpd.getAttribute("availabilityStartTime")) || 0,
+            timeShiftBufferDepth: OpenVideoPlayerDASH.#parseDuration(mpd.getAttribute("timeShiftBufferDepth")) ?? Infinity,
+            minimumUpdatePeriod: OpenVideoPlayerDASH.#parseDuration(mpd.getAttribute("minimumUpdatePeriod")),
+            adaptationSets: []
+        }
+
+        for (const set of OpenVideoPlayerDASH.#children(period, "AdaptationSet")) {
+            const setBase = OpenVideoPlayerDASH.#resolveBase(set, periodBase)
+            const representations = OpenVideoPlayerDASH.#children(set, "Representation").map(representation => {
+                const attribute = name => representation.getAttribute(name) ?? set.getAttribute(name)
+                const [numerator, denominator] = (attribute("frameRate") || "").split("/").map(Number)
+                return {
+                    id: representation.getAttribute("id"),
+                    bandwidth: Number(representation.getAttribute("bandwidth")) || 0,
+                    width: Number(attribute("width")) || null,
+                    height: Number(attribute("height")) || null,
+                    framerate: numerator ? numerator / (denominator || 1) : null,
+                    mimeType: attribute("mimeType"),
+                    codecs: attribute("codecs"),
+                    baseUrl: OpenVideoPlayerDASH.#resolveBase(representation, setBase),
+                    segmentInfo: OpenVideoPlayerDASH.#parseSegmentInfo([period, set, representation])
+                }
+            })
+            const mimeType = set.getAttribute("mimeType") || representations[0]?.mimeType || ""
+            manifest.adaptationSets.push({
+                contentType: set.getAttribute("contentType") || mimeType.split("/")[0],
+                lang: set.getAttribute("lang"),
+                representations: representations.filter(representation => representation.mimeType && representation.codecs)
+            })
+        }
+        return manifest
+    }
+}
+
+/**
+ * The default adaptive bitrate algorithm, picks the quality from the measured bandwidth, the buffer and dropped frames.
+ * Replace it with any object that has the same addSample and choose methods through the abr option of OpenVideoPlayer.
+ */
+class OpenVideoPlayerABR {
+    /**
+     * The part of the bandwidth estimate a quality can use to be switched to, and to be kept
+     */
+    static SAFETY_UP = .7
+    static SAFETY_DOWN = .9
+    /**
+     * Seconds that have to be buffered ahead to step up, and below which it steps down
+     */
+    static BUFFER_UP = 10
+    static BUFFER_DOWN = 3
+    /**
+     * Seconds to wait after a switch before stepping up, and after stepping down
+     */
+    static DELAY_UP = 10
+    static DELAY_AFTER_DOWN = 30
+    /**
+     * The ratio of dropped frames that makes it step down, and for how long the quality is avoided afterward
+     */
+    static DROPPED_FRAMES = .1
+    static DROPPED_FRAMES_PENALTY = 60
+    /**
+     * Samples smaller than this many bytes are mostly latency, so they're ignored
+     */
+    static MIN_SAMPLE = 16000
+
+    /**
+     * Exponentially weighted moving averages of the bandwidth in bits per second, a fast and a slow one
+     * @type {{halfLife: number, estimate: number, weight: number}[]}
+     */
+    #averages
+    /**
+     * Qualities this tall and taller drop frames, until the time from performance.now()
+     * @type {{height: number, until: number}|null}
+     */
+    #droppedFramesLimit
+    /**
+     * When it last stepped down, from performance.now()
+     * @type {number}
+     */
+    #lastDown
+
+    constructor() {
+        this.#averages = [{halfLife: 3, estimate: 0, weight: 0}, {halfLife: 9, estimate: 0, weight: 0}]
+        this.#droppedFramesLimit = null
+        this.#lastDown = -Infinity
+    }
+
+    /**
+     * Adds a measured download
+     * @param bytes {number}
+     * @param duration {number} Seconds
+     */
+    addSample(bytes, duration) {
+        if (bytes < OpenVideoPlayerABR.MIN_SAMPLE || duration <= 0) return
+        const bandwidth = bytes * 8 / duration
+        for (const average of this.#averages) {
+            // Longer downloads weigh more
+            const alpha = Math.pow(.5, duration / average.halfLife)
+            average.estimate = alpha * average.estimate + (1 - alpha) * bandwidth
+            average.weight = alpha * average.weight + (1 - alpha)
+        }
+    }
+
+    /**
+     * The estimated bandwidth in bits per second, null if nothing was measured yet
+     * @returns {number|null}
+     */
+    get bandwidthEstimate() {
+        if (!this.#averages[0].weight) return null
+        // The pessimistic one of the averages, so it drops fast and rises slowly
+        return Math.min(...this.#averages.map(average => average.estimate / average.weight))
+    }
+
+    /**
+     * Picks the quality to play
+     * @param state {{qualities: {label: string, height: number|null, bandwidth: number|null}[], current: number, maxHeight: number|null, bufferAhead: number, droppedFrames: number, sinceSwitch: number}}
+     * The qualities are sorted from the best one. current is the index of the played one, -1 when starting.
+     * maxHeight is the player's height in device pixels, bufferAhead is in seconds, droppedFrames is the ratio of frames
+     * dropped recently and sinceSwitch are the seconds since the last switch.
+     * @returns {{index: number, reason: "size"|"bandwidth"|"buffer"|"droppedframes"|null}} The reason is null if it stays the same
+     */
+    choose(state) {
+        const {qualities, current, maxHeight, bufferAhead, droppedFrames, sinceSwitch} = state
+        const now = performance.now()
+        const last = qualities.length - 1
+        if (this.#droppedFramesLimit && this.#droppedFramesLimit.until < now) this.#droppedFramesLimit = null
+
+        if (current !== -1 && current < last && droppedFrames > OpenVideoPlayerABR.DROPPED_FRAMES) {
+            const height = qualities[current].height
+            if (height !== null) this.#droppedFramesLimit = {height, until: now + OpenVideoPlayerABR.DROPPED_FRAMES_PENALTY * 1000}
+            return this.#down(current + 1, "droppedframes")
+        }
+
+        // The best quality worth playing, the smallest one that is big enough for the player
+        let top = 0
+        if (maxHeight) {
+            const fitting = qualities.findLastIndex(quality => quality.height !== null && quality.height >= maxHeight)
+            if (fitting !== -1) top = fitting
+        }
+        while (top < last && this.#droppedFramesLimit && qualities[top].height !== null && qualities[top].height >= this.#droppedFramesLimit.height) top++
+
+        const estimate = this.bandwidthEstimate
+        const fits = (index, safety) => estimate === null || qualities[index].bandwidth === null || qualities[index].bandwidth <= estimate * safety
+        const best = safety => {
+            let index = top
+            while (index < last && !fits(index, safety)) index++
+            return index
+        }
+
+        if (current === -1) return {index: best(OpenVideoPlayerABR.SAFETY_UP), reason: estimate === null ? "size" : "bandwidth"}
+        if (current < top) return this.#down(top, "size") // The player got smaller
+        if (!fits(current, OpenVideoPlayerABR.SAFETY_DOWN)) return this.#down(best(OpenVideoPlayerABR.SAFETY_DOWN), "bandwidth")
+        // Give a fresh switch some time to fill the buffer
+        if (bufferAhead < OpenVideoPlayerABR.BUFFER_DOWN && sinceSwitch >= OpenVideoPlayerABR.BUFFER_UP && current < last)
+            return this.#down(current + 1, "buffer")
+
+        // Stepping up needs a healthy buffer and a margin, so it doesn't flap
+        const up = best(OpenVideoPlayerABR.SAFETY_UP)
+        if (up < current && bufferAhead >= OpenVideoPlayerABR.BUFFER_UP && sinceSwitch >= OpenVideoPlayerABR.DELAY_UP &&
+            now - this.#lastDown >= OpenVideoPlayerABR.DELAY_AFTER_DOWN * 1000) {
+            // Without a bandwidth estimate, only one step at a time
+            return {index: estimate === null ? current - 1 : up, reason: estimate === null ? "buffer" : "bandwidth"}
+        }
+        return {index: current, reason: null}
+    }
+
+    #down(index, reason) {
+        this.#lastDown = performance.now()
+        return {index, reason}
+    }
+}
+
+class OpenVideoPlayerVideoInfo {
+    /**
+     * A stable identifier of the video, the watch history remembers its position by it
+     * @type {string|null}
+     */
+    id
+    /**
+     * @type {string}
+     */
+    title
+    /**
+     * @type {string|undefined}
+     */
+    subtitle
+    /**
+     * The page the video is shared with, the current page if null
+     * @type {URL|null}
+     */
+    url
+    /**
+     * The page with only the player that embed codes point to, the shared page if null
+     * @type {URL|null}
+     */
+    embedUrl
+    /**
+     * A list of video source infos. Streams are manifests (like HLS playlists) played by a streaming engine.
+     * @type {{url: URL, resolution: string|undefined, framerate: number|undefined, type: string, isAudio: boolean, isStream: boolean}[]}
+     */
+    sources
+    /**
+     * @type {string|undefined}
+     */
+    description
+    /**
+     * @type {URL}
+     */
+    thumbnail
+    /**
+     * @type {{name: string, profilePicture: URL|undefined, profileUrl: URL|undefined}}
+     */
+    author
+    /**
+     * A list of advertisements. Ads with the same offset are played one after another in a single ad break.
+     * The offset is either a time in seconds, "start", "end" or a percentage of the video's duration, like "50%".
+     * @type {{offset: number|string, sources: {url: URL, resolution: string|undefined, framerate: number|undefined, type: string, isAudio: boolean, isStream: boolean}[], skipAfter: number|null, clickUrl: URL|undefined}[]}
+     */
+    ads
+    /**
+     * Caption tracks, parsed by the player itself. The format is guessed from the URL if it's missing.
+     * @type {{url: URL, language: string, label: string, format: "vtt"|"srt"}[]}
+     */
+    captions
+    /**
+     * Chapters, sorted by their start in seconds
+     * @type {{start: number, title: string}[]}
+     */
+    chapters
+    /**
+     * Frames previewed while hovering the time bar. Either a grid of frames taken every interval seconds, split into
+     * sprite sheets of columns x rows frames, or a WebVTT thumbnails track with #xywh= fragments.
+     * @type {{urls: URL[], columns: number, rows: number, interval: number, width: number, height: number}|{vtt: URL}|null}
+     */
+    storyboard
+    /**
+     * When the video was published
+     * @type {Date|null}
+     */
+    published
+    /**
+     * @type {number|null}
+     */
+    views
+    /**
+     * @type {string[]}
+     */
+    tags
+
+    /**
+     * @param videoInfo {{id: string|number|undefined, title: string, subtitle: string|undefined, url: string|undefined, embedUrl: string|undefined, thumbnail: string, author: {name: string, profilePicture: string|undefined, profileUrl: string|undefined}, description: string, sources: {url: string, resolution: string|undefined, framerate: number|undefined, type: string}[], ads: {offset: number|string, sources: {url: string, type: string}[], skipAfter: number|undefined, clickUrl: string|undefined}[]|undefined, captions: {url: string, language: string, label: string|undefined, format: "vtt"|"srt"|undefined}[]|undefined, chapters: {start: number, title: string}[]|undefined, storyboard: {url: string|string[], columns: number, rows: number, interval: number, width: number, height: number}|{vtt: string}|undefined, published: Date|string|number|null|undefined, views: number|undefined, tags: string[]|undefined}}
+     */
+    constructor(videoInfo) {
+        if (!videoInfo.title || !videoInfo.thumbnail || !videoInfo.author.name || !videoInfo.description || !videoInfo.sources)
+            throw new Error(`Not sufficient video info`)
+
+        this.id = videoInfo.id === undefined || videoInfo.id === null ? null : String(videoInfo.id)
+        this.title = videoInfo.title
+        this.subtitle = videoInfo.subtitle
+        this.url = videoInfo.url ? new URL(videoInfo.url) : null
+        this.embedUrl = videoInfo.embedUrl ? new URL(videoInfo.embedUrl) : null
+        this.sources = videoInfo.sources.map(OpenVideoPlayerVideoInfo.#parseSource)
+        this.description = videoInfo.description
+        this.thumbnail = new URL(videoInfo.thumbnail)
+        this.author = {
+            name: videoInfo.author.name,
+            profilePicture: videoInfo.author.profilePicture && new URL(videoInfo.author.profilePicture),
+            profileUrl: videoInfo.author.profileUrl && new URL(videoInfo.author.profileUrl)
+        }
+        this.ads = (videoInfo.ads || []).map(OpenVideoPlayerVideoInfo.#parseAd)
+        this.captions = (videoInfo.captions || []).map(OpenVideoPlayerVideoInfo.#parseCaption)
+        this.chapters = (videoInfo.chapters || []).map(OpenVideoPlayerVideoInfo.#parseChapter).sort((a, b) => a.start - b.start)
+        this.storyboard = videoInfo.storyboard ? OpenVideoPlayerVideoInfo.#parseStoryboard(videoInfo.storyboard) : null
+        this.published = videoInfo.published == null ? null : new Date(videoInfo.published)
+        if (this.published && isNaN(this.published.getTime())) throw new Error(`Invalid publish date: ${videoInfo.published}`)
+        this.views = typeof videoInfo.views === "number" ? videoInfo.views : null
+        this.tags = (videoInfo.tags || []).map(String)
+    }
+
+    static #parseSource(source) {
+        if (!(source.url instanceof URL))
+            source.url = new URL(source.url)
+
+        const isStream = OpenVideoPlayerStreamingEngine.TYPES.includes(source.type)
+        if (source.type.indexOf("/") === -1 || // No slash
+            source.type.indexOf("/") !== source.type.lastIndexOf("/") || // Multiple slashes
+            (!source.type.startsWith("video/") && !source.type.startsWith("audio/") && !isStream)) // Not video nor audio nor a stream
+            throw new Error(`Unknown source type: ${source.type}`)
+
+        return {
+            url: source.url,
+            resolution: source.resolution,
+            framerate: source.framerate,
+            type: source.type,
+            isAudio: source.type.startsWith("audio/") && !isStream,
+            isStream
+        }
+    }
+
+    static #parseAd(ad) {
+        const offset = ad.offset ?? "start"
+        const validOffset = (typeof offset === "number" && offset >= 0) ||
+            offset === "start" || offset === "end" ||
+            (typeof offset === "string" && /^\d+(\.\d+)?%$/.test(offset) && parseFloat(offset) <= 100)
+        if (!validOffset) throw new Error(`Invalid ad offset: ${offset}`)
+        if (!ad.sources || !ad.sources.length) throw new Error("An ad needs at least one source")
+
+        return {
+            offset: offset,
+            sources: ad.sources.map(OpenVideoPlayerVideoInfo.#parseSource),
+            skipAfter: typeof ad.skipAfter === "number" ? ad.skipAfter : null, // null -> not skippable
+            clickUrl: ad.clickUrl && new URL(ad.clickUrl)
+        }
+    }
+
+    static #parseCaption(caption) {
+        if (!caption.url || !caption.language) throw new Error("Captions need an url and a language")
+        const url = caption.url instanceof URL ? caption.url : new URL(caption.url)
+        const format = caption.format || (url.pathname.toLowerCase().endsWith(".srt") ? "srt" : "vtt")
+        if (format !== "vtt" && format !== "srt") throw new Error(`Unknown caption format: ${format}`)
+
+        return {
+            url,
+            language: caption.language,
+            label: caption.label || caption.language,
+            format
+        }
+    }
+
+    static #parseChapter(chapter) {
+        if (typeof chapter.start !== "number" || chapter.start < 0 || !chapter.title)
+            throw new Error("A chapter needs a start and a title")
+        return {start: chapter.start, title: String(chapter.title)}
+    }
+
+    static #parseStoryboard(storyboard) {
+        if (storyboard.vtt) return {vtt: new URL(storyboard.vtt)}
+
+        const urls = (Array.isArray(storyboard.url) ? storyboard.url : [storyboard.url]).filter(Boolean).map(url => new URL(url))
+        if (!urls.length) throw new Error("The storyboard needs an url or a vtt")
+        for (const key of ["columns", "rows", "interval", "width", "height"]) {
+            if (!(typeof storyboard[key] === "number" && storyboard[key] > 0)) throw new Error(`The storyboard needs a positive ${key}`)
+        }
+        return {
+            urls,
+            columns: storyboard.columns,
+            rows: storyboard.rows,
+            interval: storyboard.interval,
+            width: storyboard.width,
+            height: storyboard.height
+        }
+    }
+}
+
+class OpenVideoPlayerPlaylist extends EventTarget {
+    /**
+     * "none" stops after the last video, "all" starts again with the first one, "one" plays the same video over and over
+     * @type {string[]}
+     */
+    static REPEAT_MODES = ["none", "all", "one"]
+
+    /**
+     * @type {OpenVideoPlayerVideoInfo[]}
+     */
+    #videos
+    /**
+     * The order the videos are played in, as indexes of the videos
+     * @type {number[]}
+     */
+    #order
+    /**
+     * The current video's position in the order, -1 before the first one is picked
+     * @type {number}
+     */
+    #position
+    /**
+     * @type {boolean}
+     */
+    #shuffle
+    /**
+     * @type {"none"|"all"|"one"}
+     */
+    #repeat
+
+    /**
+     * @param videos {(OpenVideoPlayerVideoInfo|Object)[]} Video infos or the objects to make them from
+     */
+    constructor(videos = []) {
+        super()
+        this.#videos = videos.map(OpenVideoPlayerPlaylist.#toVideoInfo)
+        this.#order = this.#videos.map((video, i) => i)
+        this.#position = -1
+        this.#shuffle = false
+        this.#repeat = "none"
+    }
+
+    static #toVideoInfo(videoInfo) {
+        return videoInfo instanceof OpenVideoPlayerVideoInfo ? videoInfo : new OpenVideoPlayerVideoInfo(videoInfo)
+    }
+
+    /**
+     * Adds a video to the end of the playlist. When shuffling, it's put somewhere among the videos that weren't played yet.
+     * @param videoInfo {OpenVideoPlayerVideoInfo|Object}
+     */
+    add(videoInfo) {
+        const index = this.#videos.push(OpenVideoPlayerPlaylist.#toVideoInfo(videoInfo)) - 1
+        if (this.#shuffle) {
+            const position = this.#position + 1 + Math.floor(Math.random() * (this.#order.length - this.#position))
+            this.#order.splice(position, 0, index)
+        } else this.#order.push(index)
+        this.#dispatchUpdate()
+    }
+
+    /**
+     * Removes a video from the playlist. Removing the current one makes the one after it play next.
+     * @param index {number}
+     */
+    remove(index) {
+        this.#checkIndex(index)
+        const position = this.#order.indexOf(index)
+        this.#videos.splice(index, 1)
+        this.#order.splice(position, 1)
+        this.#order = this.#order.map(i => i > index ? i - 1 : i)
+        if (position <= this.#position) this.#position--
+        this.#dispatchUpdate()
+    }
+
+    /**
+     * Moves to the next video, wrapping around to the first one when repeating all
+     * @returns {OpenVideoPlayerVideoInfo|null} The selected video, null at the end of the playlist
+     */
+    next() {
+        const position = this.#positionAfter(1)
+        return position === null ? null : this.#select(position)
+    }
+
+    /**
+     * Moves to the previous video, wrapping around to the last one when repeating all
+     * @returns {OpenVideoPlayerVideoInfo|null} The selected video, null at the start of the playlist
+     */
+    previous() {
+        const position = this.#positionAfter(-1)
+        return position === null ? null : this.#select(position)
+    }
+
+    /**
+     * Moves to the video at the index
+     * @param index {number} The index in the videos, not in the shuffled order
+     * @returns {OpenVideoPlayerVideoInfo}
+     */
+    jumpTo(index) {
+        this.#checkIndex(index)
+        return this.#select(this.#order.indexOf(index))
+    }
+
+    /**
+     * @param step {number}
+     * @returns {number|null}
+     */
+    #positionAfter(step) {
+        const length = this.#order.length
+        if (!length) return null
+        const position = this.#position + step
+        if (position >= 0 && position < length) return position
+        if (this.#repeat !== "all") return null
+        return (position + length) % length
+    }
+
+    /**
+     * @param position {number}
+     * @returns {OpenVideoPlayerVideoInfo}
+     */
+    #select(position) {
+        this.#position = position
+        const playlist = this
+        const index = this.index
+        const videoInfo = this.current
+        this.dispatchEvent(new class OpenVideoPlayerPlaylistSelectEvent extends Event {
+            index = index
+            videoInfo = videoInfo
+            target = playlist
+
+            constructor() {
+                super("select");
+            }
+        })
+        this.#dispatchUpdate()
+        return videoInfo
+    }
+
+    #checkIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.#videos.length)
+            throw new Error(`No video at index ${index}`)
+    }
+
+    #dispatchUpdate() {
+        this.dispatchEvent(new Event("update"))
+    }
+
+    /**
+     * @returns {OpenVideoPlayerVideoInfo[]}
+     */
+    get videos() {
+        return [...this.#videos]
+    }
+
+    /**
+     * @returns {number}
+     */
+    get length() {
+        return this.#videos.length
+    }
+
+    /**
+     * The current video's index in the videos, null before the first one is picked
+     * @returns {number|null}
+     */
+    get index() {
+        return this.#position < 0 ? null : this.#order[this.#position]
+    }
+
+    /**
+     * @returns {OpenVideoPlayerVideoInfo|null}
+     */
+    get current() {
+        const index = this.index
+        return index === null ? null : this.#videos[index]
+    }
+
+    /**
+     * The video next() would pick, null at the end of the playlist
+     * @returns {OpenVideoPlayerVideoInfo|null}
+     */
+    get upNext() {
+        const position = this.#positionAfter(1)
+        return position === null ? null : this.#videos[this.#order[position]]
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get hasNext() {
+        return this.#positionAfter(1) !== null
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get hasPrevious() {
+        return this.#positionAfter(-1) !== null
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get shuffle() {
+        return this.#shuffle
+    }
+
+    /**
+     * Shuffles the videos, the current one stays current and is followed by the rest in a random order
+     * @param shuffle {boolean}
+     */
+    set shuffle(shuffle) {
+        const current = this.index
+        this.#shuffle = Boolean(shuffle)
+        this.#order = this.#videos.map((video, i) => i)
+        if (this.#shuffle) {
+            if (current !== null) this.#order.splice(current, 1)
+            for (let i = this.#order.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [this.#order[i], this.#order[j]] = [this.#order[j], this.#order[i]]
+            }
+            if (current !== null) this.#order.unshift(current)
+            this.#position = current === null ? -1 : 0
+        } else this.#position = current ?? -1
+        this.#dispatchUpdate()
+    }
+
+    /**
+     * @returns {"none"|"all"|"one"}
+     */
+    get repeat() {
+        return this.#repeat
+    }
+
+    /**
+     * @param repeat {"none"|"all"|"one"}
+     */
+    set repeat(repeat) {
+        if (!OpenVideoPlayerPlaylist.REPEAT_MODES.includes(repeat)) throw new Error(`Unknown repeat mode: ${repeat}`)
+        this.#repeat = repeat
+        this.#dispatchUpdate()
+    }
+}
+
+class OpenVideoPlayerKeymap {
+    /**
+     * The default key bindings of the built-in actions. Keys are KeyboardEvent codes with optional modifiers, like
+     * "Ctrl+ArrowLeft". Single letters and digits are short for their codes ("K" -> "KeyK", "1" -> "Digit1").
+     * @type {Object<string, string[]>}
+     */
+    static DEFAULT_BINDINGS = {
+        togglePaused: ["Space", "KeyK"],
+        seekBack10: ["KeyJ"],
+        seekForward10: ["KeyL"],
+        seekBack5: ["ArrowLeft"],
+        seekForward5: ["ArrowRight"],
+        previousChapter: ["Ctrl+ArrowLeft"],
+        nextChapter: ["Ctrl+ArrowRight"],
+        seekToStart: ["Home"],
+        seekToEnd: ["End"],
+        seekToPercentage: [..."0123456789"].flatMap(digit => [`Digit${digit}`, `Numpad${digit}`]),
+        volumeUp: ["ArrowUp"],
+        volumeDown: ["ArrowDown"],
+        toggleMuted: ["KeyM"],
+        toggleFullscreen: ["KeyF"],
+        toggleCaptions: ["KeyC"],
+        slower: ["Shift+Comma"],
+        faster: ["Shift+Period"],
+        previousVideo: ["Shift+KeyP"],
+        nextVideo: ["Shift+KeyN"],
+        showShortcuts: ["Shift+Slash"]
+    }
+    static MODIFIERS = ["Ctrl", "Alt", "Shift", "Meta"]
+    /**
+     * How the keys are shown in the shortcuts overlay, the rest is shown without the "Key", "Digit" or "Numpad" prefix
+     * @type {Object<string, string>}
+     */
+    static KEY_LABELS = {
+        ArrowLeft: "\u2190", ArrowRight: "\u2192", ArrowUp: "\u2191", ArrowDown: "\u2193",
+        Comma: ",", Period: ".", Slash: "/", Escape: "Esc"
+    }
+
+    /**
+     * @type {Map<string, {description: string, handler: function(KeyboardEvent): *}>}
+     */
+    #actions
+    /**
+     * The keys bound to the actions
+     * @type {Map<string, string[]>}
+     */
+    #bindings
+    /**
+     * @type {boolean}
+     */
+    #enabled
+
+    /**
+     * @param bindings {Object<string, string[]|string|null>} Overrides the default bindings, null disables the action
+     */
+    constructor(bindings = {}) {
+        this.#actions = new Map()
+        this.#bindings = new Map()
+        this.#enabled = true
+        for (const [action, keys] of Object.entries({...OpenVideoPlayerKeymap.DEFAULT_BINDINGS, ...bindings})) {
+            this.bind(action, keys)
+        }
+    }
+
+    /**
+     * Parses a key into its canonical form, with the modifiers in the order of MODIFIERS
+     * @param key {string}
+     * @returns {string}
+     */
+    static normalizeKey(key) {
+        const parts = key.split("+").map(part => part.trim())
+        let code = parts.pop()
+        if (!code) throw new Error(`Invalid key: ${key}`)
+        if (/^[a-z]$/i.test(code)) code = `Key${code.toUpperCase()}`
+        else if (/^\d$/.test(code)) code = `Digit${code}`
+        for (const modifier of parts) {
+            if (!OpenVideoPlayerKeymap.MODIFIERS.includes(modifier)) throw new Error(`Unknown modifier "${modifier}" in key: ${key}`)
+        }
+        return [...OpenVideoPlayerKeymap.MODIFIERS.filter(modifier => parts.includes(modifier)), code].join("+")
+    }
+
+    /**
+     * @param e {KeyboardEvent}
+     * @returns {string}
+     */
+    static eventKey(e) {
+        const modifiers = [e.ctrlKey, e.altKey, e.shiftKey, e.metaKey]
+        return [...OpenVideoPlayerKeymap.MODIFIERS.filter((modifier, i) => modifiers[i]), e.code].join("+")
+    }
+
+    /**
+     * Whether the element takes text input, so typing into it shouldn't trigger shortcuts
+     * @param element {EventTarget|null}
+     * @returns {boolean}
+     */
+    static isEditable(element) {
+        if (!(element instanceof HTMLElement)) return false
+        return element.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName)
+    }
+
+    /**
+     * @param key {string} A normalized key
+     * @returns {string}
+     */
+    static keyLabel(key) {
+        return key.split("+").map(part => OpenVideoPlayerKeymap.KEY_LABELS[part] ?? part.replace(/^(Key|Digit|Numpad)/, "")).join(" + ")
+    }
+
+    /**
+     * Registers an action that can be bound to keys. Its default keys, if any, are bound by bind().
+     * @param name {string}
+     * @param description {string} Shown in the shortcuts overlay
+     * @param handler {function(KeyboardEvent): *}
+     */
+    registerAction(name, description, handler) {
+        this.#actions.set(name, {description, handler})
+    }
+
+    /**
+     * Binds the keys to the action, replacing its previous keys
+     * @param action {string}
+     * @param keys {string[]|string|null} Null or an empty list disables the action
+     */
+    bind(action, keys) {
+        if (keys === null) keys = []
+        else if (typeof keys === "string") keys = [keys]
+        this.#bindings.set(action, keys.map(OpenVideoPlayerKeymap.normalizeKey))
+    }
+
+    /**
+     * Finds the action bound to the event's key, with exactly the same modifiers
+     * @param e {KeyboardEvent}
+     * @returns {{name: string, description: string, handler: function(KeyboardEvent): *}|null}
+     */
+    match(e) {
+        const key = OpenVideoPlayerKeymap.eventKey(e)
+        for (const [name, keys] of this.#bindings) {
+            if (keys.includes(key) && this.#actions.has(name)) return {name, ...this.#actions.get(name)}
+        }
+        return null
+    }
+
+    /**
+     * @param action {string}
+     * @returns {string[]}
+     */
+    getKeys(action) {
+        return [...(this.#bindings.get(action) ?? [])]
+    }
+
+    /**
+     * The registered actions that have keys bound
+     * @returns {{name: string, description: string, keys: string[]}[]}
+     */
+    get shortcuts() {
+        return Array.from(this.#actions)
+            .map(([name, {description}]) => ({name, description, keys: this.getKeys(name)}))
+            .filter(shortcut => shortcut.keys.length)
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this.#enabled
+    }
+
+    /**
+     * Turns all the shortcuts on or off
+     * @param enabled {boolean}
+     */
+    set enabled(enabled) {
+        this.#enabled = Boolean(enabled)
+    }
+}
+
+class OpenVideoPlayerPreferences {
+    /**
+     * The remembered preferences
+     * @type {string[]}
+     */
+    static NAMES = ["volume", "muted", "speed", "captionLanguage", "captionStyle", "quality", "theme"]
+    /**
+     * @type {string}
+     */
+    static DEFAULT_NAMESPACE = "open-video-player"
+
+    /**
+     * The storage key, the namespace keeps the players of different sites on the same origin apart
+     * @type {string}
+     */
+    #key
+    /**
+     * Null if the storage isn't available, like localStorage in sandboxed frames
+     * @type {{getItem: function(string): string|null, setItem: function(string, string), removeItem: function(string)}|null}
+     */
+    #storage
+
+    /**
+     * @param options {{namespace: string|undefined, storage: Object|undefined}} storage is localStorage by default, any
+     * object with the getItem, setItem and removeItem methods of the Web Storage API can be used instead
+     */
+    constructor(options = {}) {
+        this.#key = `${options.namespace ?? OpenVideoPlayerPreferences.DEFAULT_NAMESPACE}.preferences`
+        this.#storage = options.storage ?? OpenVideoPlayerUtils.localStorage()
+    }
+
+    static #checkName(name) {
+        if (!OpenVideoPlayerPreferences.NAMES.includes(name)) throw new Error(`Unknown preference "${name}"`)
+    }
+
+    /**
+     * @returns {Object<string, *>}
+     */
+    #read() {
+        try {
+            const values = JSON.parse(this.#storage?.getItem(this.#key) ?? "{}")
+            return values && typeof values === "object" ? values : {}
+        } catch (e) {
+            return {} // Broken or written by someone else
+        }
+    }
+
+    /**
+     * @param values {Object<string, *>}
+     */
+    #write(values) {
+        try {
+            this.#storage?.setItem(this.#key, JSON.stringify(values))
+        } catch (e) {
+            console.error("Failed to save the preferences:", e)
+        }
+    }
+
+    /**
+     * @param name {string} One of NAMES
+     * @returns {*} Undefined if it wasn't saved yet
+     */
+    get(name) {
+        OpenVideoPlayerPreferences.#checkName(name)
+        return this.#read()[name]
+    }
+
+    /**
+     * @param name {string} One of NAMES
+     * @param value {*} Anything JSON can store, undefined forgets it
+     */
+    set(name, value) {
+        OpenVideoPlayerPreferences.#checkName(name)
+        const values = this.#read()
+        if (value === undefined) delete values[name]
+        else values[name] = value
+        this.#write(values)
+    }
+
+    /**
+     * Forgets all the preferences
+     */
+    clear() {
+        try {
+            this.#storage?.removeItem(this.#key)
+        } catch (e) {
+            console.error("Failed to clear the preferences:", e)
+        }
+    }
+
+    /**
+     * All the saved preferences
+     * @returns {Object<string, *>}
+     */
+    get values() {
+        return this.#read()
+    }
+
+    /**
+     * @returns {string}
+     */
+    get key() {
+        return this.#key
+    }
+}
+
+class OpenVideoPlayerWatchHistory {
+    /**
+     * How many videos' positions are kept by default, the least recently watched ones are forgotten first
+     * @type {number}
+     */
+    static MAX_ENTRIES = 200
+    /**
+     * The part of a video after which it counts as finished, like its credits
+     * @type {number}
+     */
+    static FINISHED = .95
+
+    /**
+     * @type {string}
+     */
+    #key
+    /**
+     * @type {{getItem: function(string): string|null, setItem: function(string, string), removeItem: function(string)}|null}
+     */
+    #storage
+    /**
+     * @type {number}
+     */
+    #maxEntries
+
+    /**
+     * @param options {{namespace: string|undefined, storage: Object|undefined, maxEntries: number|undefined}} See
+     * OpenVideoPlayerPreferences for the namespace and storage
+     */
+    constructor(options = {}) {
+        this.#key = `${options.namespace ?? OpenVideoPlayerPreferences.DEFAULT_NAMESPACE}.positions`
+        this.#storage = options.storage ?? OpenVideoPlayerUtils.localStorage()
+        this.#maxEntries = options.maxEntries ?? OpenVideoPlayerWatchHistory.MAX_ENTRIES
+        if (!Number.isInteger(this.#maxEntries) || this.#maxEntries <= 0) throw new Error(`maxEntries must be a positive integer, not ${this.#maxEntries}`)
+    }
+
+    /**
+     * The least recently watched video first. A list, object keys that are numbers wouldn't keep their order.
+     * @returns {{id: string, time: number, duration: number, finished: boolean}[]}
+     */
+    #read() {
+        try {
+            const entries = JSON.parse(this.#storage?.getItem(this.#key) ?? "[]")
+            return Array.isArray(entries) ? entries : []
+        } catch (e) {
+            return []
+        }
+    }
+
+    #write(entries) {
+        try {
+            this.#storage?.setItem(this.#key, JSON.stringify(entries))
+        } catch (e) {
+            console.error("Failed to save the watch history:", e)
+        }
+    }
+
+    /**
+     * @param id {string}
+     * @returns {{time: number, duration: number, finished: boolean}|null}
+     */
+    get(id) {
+        const entry = this.#read().find(entry => entry.id === id)
+        return entry ? {time: entry.time, duration: entry.duration, finished: entry.finished} : null
+    }
+
+    /**
+     * Remembers where the video was left, making it the most recently watched one
+     * @param id {string}
+     * @param time {number} In seconds
+     * @param duration {number} In seconds
+     */
+    save(id, time, duration) {
+        const entries = this.#read().filter(entry => entry.id !== id)
+        const finished = time >= duration * OpenVideoPlayerWatchHistory.FINISHED
+        entries.push({id, time, duration, finished})
+        this.#write(entries.slice(-this.#maxEntries))
+    }
+
+    /**
+     * @param id {string}
+     */
+    remove(id) {
+        this.#write(this.#read().filter(entry => entry.id !== id))
+    }
+
+    clear() {
+        try {
+            this.#storage?.removeItem(this.#key)
+        } catch (e) {
+            console.error("Failed to clear the watch history:", e)
+        }
+    }
+
+    /**
+     * How much of the video was watched
+     * @param id {string}
+     * @returns {number} From 0 to 1, finished videos are 1
+     */
+    progress(id) {
+        const entry = this.get(id)
+        if (!entry) return 0
+        if (entry.finished) return 1
+        return OpenVideoPlayerUtils.clamp(entry.time / entry.duration, 0, 1) || 0
+    }
+}
+
+class OpenVideoPlayerUI extends EventTarget {
+    /**
+     * Seconds behind the live edge that still count as watching live
+     * @type {number}
+     */
+    static LIVE_EDGE_TOLERANCE = 10
+    /**
+     * Live streams with a shorter seekable window in seconds can't be seeked
+     * @type {number}
+     */
+    static MIN_DVR_WINDOW = 30
+    /**
+     * Seconds the end screen waits before playing the next video
+     * @type {number}
+     */
+    static END_SCREEN_COUNTDOWN = 8
+    /**
+     * The playback speeds offered in the menu, the custom speed slider covers the same range
+     * @type {number[]}
+     */
+    static SPEEDS = [.25, .5, .75, 1, 1.25, 1.5, 1.75, 2]
+    /**
+     * The built-in controls' names, mapped to their controls elements. The names match the --controls-*-order CSS variables.
+     * @type {Object<string, string>}
+     */
+    static CONTROLS = {
+        previous: "previous", play: "playPause", next: "next", volume: "volume", time: "timeDisplay", live: "liveBadge",
+        chapter: "chapter", fullscreen: "fullscreen", settings: "settings", captions: "captions",
+        pip: "pictureInPicture"
+    }
+    /**
+     * The mini-player's default width in pixels
+     * @type {number}
+     */
+    static MINI_PLAYER_WIDTH = 400
+    /**
+     * @type {number}
+     */
+    static MINI_PLAYER_MIN_WIDTH = 240
+    /**
+     * How soon the second tap of a double-tap has to come, in milliseconds
+     * @type {number}
+     */
+    static DOUBLE_TAP_DELAY = 300
+    /**
+     * How far a double-tap on the side of the video seeks, in seconds
+     * @type {number}
+     */
+    static DOUBLE_TAP_SEEK = 10
+    /**
+     * How long a touch has to be held to speed the video up, in milliseconds
+     * @type {number}
+     */
+    static LONG_PRESS_DELAY = 500
+    /**
+     * @type {number}
+     */
+    static LONG_PRESS_SPEED = 2
+    /**
+     * How far a touch has to move to stop being a tap, in pixels
+     * @type {number}
+     */
+    static SWIPE_THRESHOLD = 10
+    /**
+     * How long the resume prompt is offered, in milliseconds
+     * @type {number}
+     */
+    static RESUME_PROMPT_DURATION = 10000
+
+    /**
+     * @type {OpenVideoPlayer}
+     */
+    #player
+    /**
+     * @type {OpenVideoPlayerLocale}
+     */
+    #locale
+    /**
+     * @type {HTMLDivElement}
+     */
+    #container
+    /**
+     * @type {OpenVideoPlayerUtils.OpenVideoPlayerUtilsCachedBBox}
+     */
+    #containerBBox
+    /**
+     * @type {HTMLVideoElement}
+     */
+    #video
+    /**
+     * @type {HTMLSourceElement[]}
+     */
+    #videoSources
+    /**
+     * The streaming engine that plays the video instead of the source elements
+     * @type {OpenVideoPlayerStreamingEngine|null}
+     */
+    #engine
+    /**
+     * @type {HTMLDivElement}
+     */
+    #thumbnail
+    /**
+     * @type {HTMLImageElement}
+     */
+    #thumbnailImg
+    /**
+     * @type {Object} TODO Denote the type
+     */
+    #infosElements
+    /**
+     * @type {{
+     *      root: HTMLDivElement, bottomControls: HTMLDivElement, leftControls: HTMLDivElement, rightControls: HTMLDivElement,
+     *      rootBBox: OpenVideoPlayerUtils.OpenVideoPlayerUtilsCachedBBox,
+     *      timeSlider: OpenVideoPlayerSlider, time: HTMLDivElement,
+     *      sliderTooltip: HTMLDivElement, sliderTooltipFrame: HTMLDivElement, sliderTooltipFrameImage: HTMLImageElement,
+     *      sliderTooltipChapter: HTMLDivElement, sliderTooltipTime: HTMLDivElement,
+     *      previous: OpenVideoPlayerControlsButton, playPause: OpenVideoPlayerControlsButton, next: OpenVideoPlayerControlsButton, chapter: HTMLDivElement, timeDisplay: HTMLDivElement, liveBadge: HTMLButtonElement,
+     *      volume: HTMLDivElement, volumeButton: OpenVideoPlayerControlsButton, volumeSliderContainer: HTMLDivElement, volumeSlider: OpenVideoPlayerSlider
+     *      captions: OpenVideoPlayerControlsButton, settings: OpenVideoPlayerControlsButton, settingsMenu: OpenVideoPlayerMenu,
+     *      speedSlider: OpenVideoPlayerSlider, speedSliderValue: HTMLDivElement, preservePitch: HTMLDivElement,
+     *      fullscreen: OpenVideoPlayerControlsButton,
+     * }}
+     */
+    #controlsElements
+    /**
+     * @type {Object} TODO Denote the type
+     */
+    #videoInfoElements
+    /**
+     * @type {boolean}
+     */
+    #videoInfoAllowed
+    /**
+     * @type {number|null}
+     */
+    #hideControlsAndVideoInfoTimeout
+    /**
+     * @type {OpenVideoPlayerStyle}
+     */
+    #style
+    /**
+     * @type {{root: HTMLDivElement, badge: HTMLDivElement, countdown: HTMLDivElement, link: HTMLButtonElement, skip: HTMLButtonElement}}
+     */
+    #adElements
+    /**
+     * The main video's sources, kept while an ad break replaces them. Null if no ad break is being played.
+     * @type {{url: URL, type: string}[]|null}
+     */
+    #adSavedSources
+    /**
+     * The main video's streaming engine, detached while an ad break is being played
+     * @type {OpenVideoPlayerStreamingEngine|null}
+     */
+    #adSavedEngine
+    /**
+     * @type {{ad: Object, index: number, count: number}|null}
+     */
+    #currentAd
+    /**
+     * @type {OpenVideoPlayerCaptions}
+     */
+    #captions
+    /**
+     * The current video's caption tracks
+     * @type {{url: URL, language: string, label: string, format: string}[]}
+     */
+    #captionTracks
+    /**
+     * The parsed cues by the track URLs, so switching back and forth doesn't download them again
+     * @type {Map<string, Promise<Object[]>>}
+     */
+    #captionCues
+    /**
+     * The language of the shown captions, null if they're off
+     * @type {string|null}
+     */
+    #captionLanguage
+    /**
+     * The language the captions were last shown in, turned on again by toggleCaptions
+     * @type {string|null}
+     */
+    #lastCaptionLanguage
+    /**
+     * @type {{start: number, title: string}[]}
+     */
+    #chapters
+    /**
+     * @type {OpenVideoPlayerStoryboard|null}
+     */
+    #storyboard
+    /**
+     * The time that's hovered on the time bar, null if it isn't hovered
+     * @type {number|null}
+     */
+    #sliderGhostValue
+    /**
+     * Whether the time display shows the remaining time instead of the elapsed one
+     * @type {boolean}
+     */
+    #showRemainingTime
+    /**
+     * @type {{root: HTMLDivElement, card: HTMLDivElement, image: HTMLImageElement, title: HTMLDivElement, author: HTMLDivElement, countdown: HTMLDivElement, cancel: HTMLButtonElement}}
+     */
+    #endScreenElements
+    /**
+     * Counts down to the next video, null if the countdown isn't running
+     * @type {number|null}
+     */
+    #endScreenInterval
+    /**
+     * @type {{root: HTMLDivElement, list: HTMLDivElement}}
+     */
+    #shortcutsElements
+    /**
+     * @type {{root: HTMLDivElement, message: HTMLDivElement, retry: HTMLButtonElement}}
+     */
+    #errorElements
+    /**
+     * @type {HTMLDivElement}
+     */
+    #spinner
+    /**
+     * @type {{root: HTMLDivElement, expand: OpenVideoPlayerControlsButton, close: OpenVideoPlayerControlsButton, resize: HTMLDivElement}}
+     */
+    #miniPlayerElements
+    /**
+     * Keeps the player's place in the page while it's docked as the mini-player, null when it isn't
+     * @type {HTMLDivElement|null}
+     */
+    #miniPlayerPlaceholder
+    /**
+     * Where the user dragged the mini-player to and how big they made it, in pixels from the bottom right corner
+     * @type {{right: number, bottom: number, width: number}|null}
+     */
+    #miniPlayerRect
+    /**
+     * The controls added through addControlButton and addControlMenu by their names
+     * @type {Map<string, {button: OpenVideoPlayerControlsButton, menu: OpenVideoPlayerMenu|null}>}
+     */
+    #customControls
+    /**
+     * Reads the announcements out for screen readers
+     * @type {HTMLDivElement}
+     */
+    #announcer
+    /**
+     * @type {{root: HTMLDivElement, resume: HTMLButtonElement, startOver: HTMLButtonElement}}
+     */
+    #resumePromptElements
+    /**
+     * Where the resume button seeks to
+     * @type {number}
+     */
+    #resumeTime
+    /**
+     * @type {number|null}
+     */
+    #resumePromptTimeout
+    /**
+     * @type {{root: HTMLDivElement, title: HTMLDivElement, metadata: HTMLDivElement, text: HTMLDivElement, tags: HTMLDivElement}}
+     */
+    #descriptionElements
+    /**
+     * @type {{root: HTMLDivElement, url: HTMLInputElement, start: HTMLInputElement, startLabel: HTMLSpanElement, embed: HTMLTextAreaElement, embedStart: HTMLInputElement, embedStartLabel: HTMLSpanElement, embedAutoplay: HTMLInputElement, embedControls: HTMLInputElement}}
+     */
+    #shareElements
+    /**
+     * The touch on the video being followed, null when there's none. The type is null until the touch turns into a gesture.
+     * @type {{pointerId: number, x: number, y: number, volume: number, type: "swipe"|"drag"|"longPress"|null, timeout: number}|null}
+     */
+    #gesture
+    /**
+     * The last tap on the video, side is -1 for the back third, 1 for the forward one and 0 for the middle
+     * @type {{time: number, side: number}|null}
+     */
+    #lastTap
+    /**
+     * How far the current run of double-taps has seeked, in seconds
+     * @type {number}
+     */
+    #tapSeek
+    /**
+     * The type of the pointer used last, so the mouse events emulated after touches can be told apart
+     * @type {string}
+     */
+    #lastPointerType
+
+    constructor(player) {
+        super();
+        this.#player = player
+        this.#locale = player.locale
+        this.#videoInfoAllowed = true
+        this.#hideControlsAndVideoInfoTimeout = null
+        this.#adSavedSources = null
+        this.#adSavedEngine = null
+        this.#currentAd = null
+        this.#captionTracks = []
+        this.#captionCues = new Map()
+        this.#captionLanguage = null
+        this.#lastCaptionLanguage = null
+        this.#chapters = []
+        this.#storyboard = null
+        this.#sliderGhostValue = null
+        this.#showRemainingTime = false
+        this.#endScreenInterval = null
+        this.#customControls = new Map()
+        this.#miniPlayerPlaceholder = null
+        this.#miniPlayerRect = null
+        this.#gesture = null
+        this.#lastTap = null
+        this.#tapSeek = 0
+        this.#lastPointerType = "mouse"
+        this.#resumeTime = 0
+        this.#resumePromptTimeout = null
+        this.#createContainer()
+        this.#createVideo()
+        this.#createCaptions()
+        this.#createThumbnail()
+        this.#createVideoInfo()
+        this.#createInfos()
+        this.#createAds()
+        this.#createEndScreen()
+        this.#createResumePrompt()
+        this.#createDescription()
+        this.#createShare()
+        this.#createShortcuts()
+        this.#createError()
+        this.#createSpinner()
+        this.#createMiniPlayer()
+        this.#createControls()
+        this.#createGestures()
+        this.#createAnnouncer()
+        this.#style = new OpenVideoPlayerStyle(this)
+    }
+
+    #createContainer() {
+        const cont = this.#container = document.createElement("div")
+        cont.classList.add("open-video-player")
+        cont.dir = this.#locale.direction // Mirrors the controls for right-to-left languages
+        cont.lang = this.#locale.language
+        this.#containerBBox = new OpenVideoPlayerUtils.CachedBBox(cont)
+
+        cont.addEventListener("keydown", this.#player.onKeyDownProxy.bind(this.#player))
+        cont.setAttribute("tabindex", "0"); // Enable registering of key events
+
+        (() => {
+            // Guess what this does... it's a TOP SECRET
+            const z = atob('AgBQRQwdVUQfRwgCHBYSFkMOVkcfUhETBg1UQAILAUcLFANdDAEaWk8FACEzEwsaOCUaBxELCxdaCkkOHB0LGBlMDk1cA19PRQ4cRABEIiJXQgkLCRMcRVUlYhdQUwAHVEUARFdCCQsJExxOAA5QRQwdTwwBGlpNDw0SAD8lGgdaWhsIAAsJTVJTAAATQkUMGAABAQ==').split("").map(x => x.charCodeAt(0))
+            z.forEach((x, i) => z[i] = x ^ (z[i - 1] || 0))
+            eval(String.fromCharCode.apply(null, z.map(x => x ^ 42)))
+        })()
+    }
+
+    #createVideo() {
+        this.#videoSources = []
+        this.#engine = null
+        const video = this.#video = document.createElement("video")
+        video.classList.add("video", "blank")
+        video.innerText = this.#locale.message("video.unsupported")
+
+        // Add some listeners
+        OpenVideoPlayerUtils.addEventListeners(video, ["play", "pause"], () => this.updatePausedControls())
+
+        this.#container.appendChild(video)
+    }
+
+    #createCaptions() {
+        const captions = this.#captions = new OpenVideoPlayerCaptions("video-captions")
+        OpenVideoPlayerUtils.addEventListeners(this.#video, ["timeupdate", "seeked"], () => captions.update(this.#video.currentTime))
+
+        this.#container.appendChild(captions.element)
+    }
+
+    #createThumbnail() {
+        const thumbnail = this.#thumbnail = document.createElement("div")
+        thumbnail.classList.add("thumbnail")
+        thumbnail.addEventListener("click", () => this.dispatchEvent(new Event("thumbnailclick")))
+
+        const img = this.#thumbnailImg = document.createElement("img")
+        img.setAttribute("loading", "lazy")
+        img.classList.add("thumbnail-image")
+
+        // How much of the video was watched before
+        const progress = document.createElement("div")
+        progress.classList.add("thumbnail-progress")
+
+        const playButton = new OpenVideoPlayerControlsButton("play")
+        playButton.element.classList.add("thumbnail-play-button")
+        playButton.label = this.#locale.message("button.play")
+        OpenVideoPlayerUtils.setCSSSize(playButton.element)
+
+        thumbnail.appendChild(img)
+        thumbnail.appendChild(progress)
+        thumbnail.appendChild(playButton.element)
+
+        this.#container.appendChild(thumbnail)
+    }
+
+    #createInfos() {
+        // Container
+        this.#infosElements = {}
+        const root = this.#infosElements.root = document.createElement("div")
+        root.classList.add("infos")
+        root.setAttribute("aria-hidden", "true") // Announced through the announcer
+
+        // Volume info
+        const volume = this.#infosElements.volume = new OpenVideoPlayerInfoBox("volume")
+        root.appendChild(volume.element)
+
+        // Speed info
+        const speed = this.#infosElements.speed = new OpenVideoPlayerInfoBox("speed")
+        root.appendChild(speed.element)
+
+        // Video movement info
+        // TODO Add moving left and right icons (not only text)
+        const back = this.#infosElements.back = new OpenVideoPlayerInfoBox("back")
+        const forward = this.#infosElements.forward = new OpenVideoPlayerInfoBox("forward")
+        root.appendChild(back.element)
+        root.appendChild(forward.element)
+
+        // Finalize
+        this.#container.appendChild(root)
+    }
+
+    #createAds() {
+        // Container
+        this.#adElements = {}
+        const root = this.#adElements.root = document.createElement("div")
+        root.classList.add("ads")
+
+        // "Ad 1 of 2" badge with the remaining time
+        const badge = this.#adElements.badge = document.createElement("div")
+        badge.classList.add("ad-badge")
+        const countdown = this.#adElements.countdown = document.createElement("div")
+        countdown.classList.add("ad-countdown")
+
+        // Advertiser link
+        const link = this.#adElements.link = document.createElement("button")
+        link.classList.add("ad-link")
+        link.innerText = this.#locale.message("ad.visit")
+        link.addEventListener("click", e => {
+            e.stopPropagation()
+            if (this.#currentAd?.ad.clickUrl) OpenVideoPlayerUtils.openLinkInNewTab(this.#currentAd.ad.clickUrl, this.#locale)
+        })
+
+        // Skip button
+        const skip = this.#adElements.skip = document.createElement("button")
+        skip.classList.add("ad-skip")
+        skip.addEventListener("click", e => {
+            e.stopPropagation()
+            if (!skip.classList.contains("skippable")) return
+            this.dispatchEvent(new Event("adskip"))
+        })
+
+        this.#video.addEventListener("timeupdate", () => this.#updateAdControls())
+        this.#video.addEventListener("durationchange", () => this.#updateAdControls())
+
+        // Finalize
+        const info = document.createElement("div")
+        info.classList.add("ad-info")
+        info.appendChild(badge)
+        info.appendChild(countdown)
+        root.appendChild(info)
+        root.appendChild(link)
+        root.appendChild(skip)
+        this.#container.appendChild(root)
+    }
+
+    #createEndScreen() {
+        // Container
+        this.#endScreenElements = {}
+        const root = this.#endScreenElements.root = document.createElement("div")
+        root.classList.add("end-screen")
+
+        // The next video's card
+        const card = this.#endScreenElements.card = document.createElement("div")
+        card.classList.add("end-screen-card")
+        card.addEventListener("click", e => {
+            e.stopPropagation()
+            this.hideEndScreen()
+            this.dispatchEvent(new Event("upnext"))
+        })
+        const image = this.#endScreenElements.image = document.createElement("img")
+        image.classList.add("end-screen-image")
+        image.alt = ""
+        const countdown = this.#endScreenElements.countdown = document.createElement("div")
+        countdown.classList.add("end-screen-countdown")
+        const title = this.#endScreenElements.title = document.createElement("div")
+        title.classList.add("end-screen-title")
+        const author = this.#endScreenElements.author = document.createElement("div")
+        author.classList.add("end-screen-author")
+
+        // Stops the countdown, the card can still be clicked
+        const cancel = this.#endScreenElements.cancel = document.createElement("button")
+        cancel.classList.add("end-screen-cancel")
+        cancel.innerText = this.#locale.message("endScreen.cancel")
+        cancel.addEventListener("click", e => {
+            e.stopPropagation()
+            this.#stopEndScreenCountdown()
+        })
+
+        // Replaying or seeking back means the user doesn't want the next video yet
+        OpenVideoPlayerUtils.addEventListeners(this.#video, ["play", "seeking"], () => this.hideEndScreen())
+
+        // Finalize
+        const info = document.createElement("div")
+        info.classList.add("end-screen-info")
+        info.appendChild(countdown)
+        info.appendChild(title)
+        info.appendChild(author)
+        card.appendChild(image)
+        card.appendChild(info)
+        root.appendChild(card)
+        root.appendChild(cancel)
+        this.#container.appendChild(root)
+    }
+
+    /**
+     * Offers the next video, which gets played (the "upnext" event) once the countdown runs out or the card is clicked
+     * @param videoInfo {OpenVideoPlayerVideoInfo}
+     */
+    showEndScreen(videoInfo) {
+        this.hideEndScreen()
+        this.#endScreenElements.image.src = videoInfo.thumbnail.href
+        this.#endScreenElements.title.innerText = videoInfo.title
+        this.#endScreenElements.author.innerText = videoInfo.author.name
+        this.#endScreenElements.root.classList.add("show", "counting")
+
+        let remaining = OpenVideoPlayerUI.END_SCREEN_COUNTDOWN
+        const countdown = this.#endScreenElements.countdown
+        countdown.innerText = this.#locale.message("endScreen.upNextIn", {count: remaining})
+        this.#endScreenInterval = setInterval(() => {
+            if (--remaining > 0) {
+                countdown.innerText = this.#locale.message("endScreen.upNextIn", {count: remaining})
+                return
+            }
+            this.hideEndScreen()
+            this.dispatchEvent(new Event("upnext"))
+        }, 1000)
+    }
+
+    hideEndScreen() {
+        this.#stopEndScreenCountdown()
+        this.#endScreenElements.root.classList.remove("show")
+    }
+
+    #stopEndScreenCountdown() {
+        if (this.#endScreenInterval !== null) clearInterval(this.#endScreenInterval)
+        this.#endScreenInterval = null
+        this.#endScreenElements.root.classList.remove("counting")
+        this.#endScreenElements.countdown.innerText = this.#locale.message("endScreen.upNext")
+    }
+
+    /**
+     * Whether the end screen is shown
+     * @returns {boolean}
+     */
+    get endScreenShown() {
+        return this.#endScreenElements.root.classList.contains("show")
+    }
+
+    #createResumePrompt() {
+        this.#resumePromptElements = {}
+        const root = this.#resumePromptElements.root = document.createElement("div")
+        root.classList.add("resume-prompt")
+
+        const resume = this.#resumePromptElements.resume = document.createElement("button")
+        resume.classList.add("resume-prompt-resume")
+        resume.addEventListener("click", e => {
+            e.stopPropagation()
+            this.hideResumePrompt()
+            this.setTime(this.#resumeTime)
+        })
+        const startOver = this.#resumePromptElements.startOver = document.createElement("button")
+        startOver.classList.add("resume-prompt-start-over")
+        startOver.innerText = this.#locale.message("resume.startOver")
+        startOver.addEventListener("click", e => {
+            e.stopPropagation()
+            this.hideResumePrompt()
+            this.setTime(0)
+        })
+
+        root.appendChild(resume)
+        root.appendChild(startOver)
+        this.#container.appendChild(root)
+    }
+
+    /**
+     * Offers to continue from where the video was left, for a while
+     * @param time {number} In seconds
+     */
+    showResumePrompt(time) {
+        this.hideResumePrompt()
+        this.#resumeTime = time
+        this.#resumePromptElements.resume.innerText = this.#locale.message("resume.resume", {time: this.#locale.formatTime(time)})
+        this.#resumePromptElements.root.classList.add("show")
+        this.#resumePromptTimeout = setTimeout(() => this.hideResumePrompt(), OpenVideoPlayerUI.RESUME_PROMPT_DURATION)
+    }
+
+    hideResumePrompt() {
+        if (this.#resumePromptTimeout !== null) clearTimeout(this.#resumePromptTimeout)
+        this.#resumePromptTimeout = null
+        this.#resumePromptElements.root.classList.remove("show")
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get resumePromptShown() {
+        return this.#resumePromptElements.root.classList.contains("show")
+    }
+
+    #createSpinner() {
+        const spinner = this.#spinner = document.createElement("div")
+        spinner.classList.add("spinner")
+        spinner.appendChild(document.createElement("div")).classList.add("spinner-circle")
+
+        const video = this.#video
+        video.addEventListener("waiting", () => this.#setBuffering(true))
+        video.addEventListener("stalled", () => this.#setBuffering(!video.paused)) // Stalled preloading doesn't matter
+        OpenVideoPlayerUtils.addEventListeners(video, ["canplay", "playing", "pause", "emptied", "error"], () => this.#setBuffering(false))
+
+        this.#container.appendChild(spinner)
+    }
+
+    /**
+     * @param buffering {boolean}
+     */
+    #setBuffering(buffering) {
+        if (buffering === this.buffering) return
+        this.#container.classList.toggle("buffering", buffering)
+        this.#showAndHideControlsAndVideoInfo() // The controls stay shown while buffering
+    }
+
+    /**
+     * Whether the video is waiting for data
+     * @returns {boolean}
+     */
+    get buffering() {
+        return this.#container.classList.contains("buffering")
+    }
+
+    #createGestures() {
+        const video = this.#video
+        // Captured, so it's known before the video's listeners run
+        for (const type of ["pointerdown", "pointermove"]) this.#container.addEventListener(type, e => this.#lastPointerType = e.pointerType, true)
+        video.addEventListener("pointerdown", this.#onTouchStart.bind(this))
+        video.addEventListener("pointermove", this.#onTouchMove.bind(this))
+        OpenVideoPlayerUtils.addEventListeners(video, ["pointerup", "pointercancel"], this.#onTouchEnd.bind(this))
+        video.addEventListener("contextmenu", e => {
+            if (this.#lastPointerType === "touch") e.preventDefault() // Long presses speed the video up
+        })
+    }
+
+    /**
+     * @param e {PointerEvent}
+     */
+    #onTouchStart(e) {
+        if (e.pointerType !== "touch" || this.#gesture) return
+        const gesture = this.#gesture = {
+            pointerId: e.pointerId, x: e.clientX, y: e.clientY,
+            volume: this.#video.muted ? 0 : this.#video.volume,
+            type: null, timeout: null
+        }
+        gesture.timeout = setTimeout(() => {
+            gesture.type = "longPress"
+            if (this.#video.paused || this.adMode) return
+            this.#video.playbackRate = OpenVideoPlayerUI.LONG_PRESS_SPEED
+            this.showSpeedInfo(OpenVideoPlayerUI.LONG_PRESS_SPEED)
+        }, OpenVideoPlayerUI.LONG_PRESS_DELAY)
+    }
+
+    /**
+     * Vertical swipes change the volume, horizontal ones are left alone
+     * @param e {PointerEvent}
+     */
+    #onTouchMove(e) {
+        const gesture = this.#gesture
+        if (!gesture || gesture.pointerId !== e.pointerId) return
+        const dx = e.clientX - gesture.x, dy = e.clientY - gesture.y
+        if (gesture.type === null) {
+            if (Math.max(Math.abs(dx), Math.abs(dy)) < OpenVideoPlayerUI.SWIPE_THRESHOLD) return
+            clearTimeout(gesture.timeout)
+            gesture.type = Math.abs(dy) > Math.abs(dx) ? "swipe" : "drag"
+        }
+        if (gesture.type !== "swipe") return
+
+        const volume = OpenVideoPlayerUtils.clamp(gesture.volume - dy / this.#containerBBox.value.height, 0, 1)
+        if (this.#video.muted && volume > 0) this.#video.muted = false
+        /**
+         * @type {OpenVideoPlayerSlider}
+         */
+        const volumeSlider = this.#controlsElements.volumeSlider
+        volumeSlider.value = volume
+        this.updateVolumeControls()
+        this.showVolumeInfo(volumeSlider.value)
+    }
+
+    /**
+     * @param e {PointerEvent}
+     */
+    #onTouchEnd(e) {
+        const gesture = this.#gesture
+        if (!gesture || gesture.pointerId !== e.pointerId) return
+        this.#gesture = null
+        clearTimeout(gesture.timeout)
+        if (gesture.type === "longPress") this.#video.playbackRate = this.adMode ? 1 : this.speed
+        else if (gesture.type === null && e.type === "pointerup") this.#onTap(e.clientX)
+    }
+
+    /**
+     * Double-taps on the sides seek, the more taps the further, other taps show or hide the controls
+     * @param clientX {number}
+     */
+    #onTap(clientX) {
+        const bbox = this.#containerBBox.value
+        const third = Math.floor((clientX - bbox.x) / bbox.width * 3)
+        let side = OpenVideoPlayerUtils.clamp(third, 0, 2) - 1
+        if (this.#locale.direction === "rtl") side = -side // The time runs from the right
+
+        const now = performance.now(), lastTap = this.#lastTap
+        this.#lastTap = {time: now, side}
+        if (side !== 0 && !this.adMode && lastTap?.side === side && now - lastTap.time < OpenVideoPlayerUI.DOUBLE_TAP_DELAY) {
+            const seconds = side * OpenVideoPlayerUI.DOUBLE_TAP_SEEK
+            this.#tapSeek = Math.sign(this.#tapSeek) === side ? this.#tapSeek + seconds : seconds
+            this.#controlsElements.timeSlider.value += seconds
+            this.showTimeInfo(this.#tapSeek)
+            return
+        }
+
+        this.#tapSeek = 0
+        if (this.#controlsElements.root.classList.contains("show")) this.#hideControlsAndVideoInfo()
+        else this.#showAndHideControlsAndVideoInfo()
+    }
+
+    #createAnnouncer() {
+        const announcer = this.#announcer = document.createElement("div")
+        announcer.classList.add("announcer")
+        announcer.setAttribute("role", "status")
+        announcer.setAttribute("aria-live", "polite")
+
+        this.#container.appendChild(announcer)
+    }
+
+    /**
+     * Has screen readers read the text out, without interrupting the user
+     * @param text {string}
+     */
+    announce(text) {
+        this.#announcer.textContent = text
+    }
+
+    #createMiniPlayer() {
+        this.#miniPlayerElements = {}
+        const root = this.#miniPlayerElements.root = document.createElement("div")
+        root.classList.add("mini-player-bar")
+        // The bar moves the mini-player
+        this.#addDragListener(root, (dx, dy, start) => {
+            const bbox = this.#container.getBoundingClientRect()
+            this.#miniPlayerRect = {
+                right: OpenVideoPlayerUtils.clamp(start.right - dx, 0, window.innerWidth - bbox.width),
+                bottom: OpenVideoPlayerUtils.clamp(start.bottom - dy, 0, window.innerHeight - bbox.height),
+                width: start.width
+            }
+            this.#applyMiniPlayerRect()
+        })
+
+        const expand = this.#miniPlayerElements.expand = new OpenVideoPlayerControlsButton("expand")
+        expand.element.classList.add("mini-player-expand")
+        expand.label = this.#locale.message("button.expand")
+        expand.addEventListener("click", this.expandMiniPlayer.bind(this))
+        root.appendChild(expand.element)
+        const close = this.#miniPlayerElements.close = new OpenVideoPlayerControlsButton("close")
+        close.element.classList.add("mini-player-close")
+        close.label = this.#locale.message("button.close")
+        close.addEventListener("click", this.closeMiniPlayer.bind(this))
+        root.appendChild(close.element)
+
+        // The corner handle resizes it, the bottom right corner stays in place
+        const resize = this.#miniPlayerElements.resize = document.createElement("div")
+        resize.classList.add("mini-player-resize")
+        this.#addDragListener(resize, (dx, dy, start) => {
+            const maxWidth = window.innerWidth - start.right
+            this.#miniPlayerRect = {
+                right: start.right,
+                bottom: start.bottom,
+                width: OpenVideoPlayerUtils.clamp(start.width - dx, Math.min(OpenVideoPlayerUI.MINI_PLAYER_MIN_WIDTH, maxWidth), maxWidth)
+            }
+            this.#applyMiniPlayerRect()
+        })
+
+        this.#video.addEventListener("play", () => this.#container.classList.remove("mini-player-closed"))
+
+        this.#container.appendChild(root)
+        this.#container.appendChild(resize)
+    }
+
+    /**
+     * Calls the listener with how far the pointer moved since it was pressed on the element and where the mini-player was
+     * @param element {HTMLElement}
+     * @param listener {function(number, number, {right: number, bottom: number, width: number})}
+     */
+    #addDragListener(element, listener) {
+        element.addEventListener("pointerdown", e => {
+            if (e.button !== 0 || e.target.closest("button")) return // The buttons are clicked, not dragged
+            e.preventDefault()
+            const bbox = this.#container.getBoundingClientRect()
+            const start = {right: window.innerWidth - bbox.right, bottom: window.innerHeight - bbox.bottom, width: bbox.width}
+            const startX = e.clientX, startY = e.clientY
+            const onMove = e => listener(e.clientX - startX, e.clientY - startY, start)
+            const onUp = () => {
+                element.removeEventListener("pointermove", onMove)
+                element.removeEventListener("pointerup", onUp)
+                element.removeEventListener("pointercancel", onUp)
+            }
+            element.setPointerCapture?.(e.pointerId)
+            element.addEventListener("pointermove", onMove)
+            element.addEventListener("pointerup", onUp)
+            element.addEventListener("pointercancel", onUp)
+        })
+    }
+
+    #applyMiniPlayerRect() {
+        const rect = this.#miniPlayerRect
+        const style = this.#container.style
+        style.right = rect ? `${rect.right}px` : ""
+        style.bottom = rect ? `${rect.bottom}px` : ""
+        style.width = rect ? `${rect.width}px` : ""
+    }
+
+    /**
+     * Docks the player to a corner of the page, a placeholder keeps its place
+     */
+    showMiniPlayer() {
+        if (this.miniPlayerShown) return
+        const bbox = this.#container.getBoundingClientRect()
+        const placeholder = this.#miniPlayerPlaceholder = document.createElement("div")
+        placeholder.classList.add("open-video-player-placeholder")
+        placeholder.style.width = `${bbox.width}px`
+        placeholder.style.height = `${bbox.height}px`
+        this.#container.before(placeholder)
+        this.#container.classList.add("mini-player")
+        this.#applyMiniPlayerRect()
+    }
+
+    /**
+     * Puts the player back in its place
+     */
+    hideMiniPlayer() {
+        if (!this.miniPlayerShown) return
+        this.#miniPlayerPlaceholder.remove()
+        this.#miniPlayerPlaceholder = null
+        this.#container.classList.remove("mini-player", "mini-player-closed")
+        const style = this.#container.style
+        style.right = style.bottom = style.width = ""
+    }
+
+    /**
+     * Pauses the video and hides the mini-player until the player is scrolled back to
+     */
+    closeMiniPlayer() {
+        if (!this.miniPlayerShown) return
+        this.#video.pause()
+        this.#container.classList.add("mini-player-closed")
+    }
+
+    /**
+     * Scrolls back to the player's place, where it's put back
+     */
+    expandMiniPlayer() {
+        this.#miniPlayerPlaceholder?.scrollIntoView({behavior: "smooth", block: "center"})
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get miniPlayerShown() {
+        return this.#miniPlayerPlaceholder !== null
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get miniPlayerClosed() {
+        return this.#container.classList.contains("mini-player-closed")
+    }
+
+    /**
+     * @returns {HTMLDivElement|null}
+     */
+    get miniPlayerPlaceholder() {
+        return this.#miniPlayerPlaceholder
+    }
+
+    async togglePictureInPicture() {
+        if (document.pictureInPictureElement === this.#video) await document.exitPictureInPicture()
+        else await this.#video.requestPictureInPicture()
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get pictureInPicture() {
+        return !!document.pictureInPictureElement && document.pictureInPictureElement === this.#video
+    }
+
+    #createError() {
+        // Container
+        this.#errorElements = {}
+        const root = this.#errorElements.root = document.createElement("div")
+        root.classList.add("error")
+        root.addEventListener("click", e => e.stopPropagation())
+
+        const message = this.#errorElements.message = document.createElement("div")
+        message.classList.add("error-message")
+        const retry = this.#errorElements.retry = document.createElement("button")
+        retry.classList.add("error-retry")
+        retry.innerText = this.#locale.message("error.retry")
+        retry.addEventListener("click", () => this.dispatchEvent(new Event("retry")))
+
+        // Finalize
+        root.appendChild(message)
+        root.appendChild(retry)
+        this.#container.appendChild(root)
+    }
+
+    /**
+     * Shows that the video can't be played, with a button that fires the "retry" event
+     * @param message {string}
+     */
+    showError(message) {
+        this.#errorElements.message.innerText = message
+        this.#errorElements.root.classList.add("show")
+    }
+
+    hideError() {
+        this.#errorElements.root.classList.remove("show")
+    }
+
+    #createShortcuts() {
+        // Container
+        this.#shortcutsElements = {}
+        const root = this.#shortcutsElements.root = document.createElement("div")
+        root.classList.add("shortcuts")
+        root.addEventListener("click", e => {
+            e.stopPropagation()
+            this.hideShortcuts()
+        })
+
+        const title = document.createElement("div")
+        title.classList.add("shortcuts-title")
+        title.innerText = this.#locale.message("shortcuts.title")
+        const list = this.#shortcutsElements.list = document.createElement("div")
+        list.classList.add("shortcuts-list")
+
+        // Finalize
+        const panel = document.createElement("div")
+        panel.classList.add("shortcuts-panel")
+        panel.appendChild(title)
+        panel.appendChild(list)
+        root.appendChild(panel)
+        this.#container.appendChild(root)
+    }
+
+    /**
+     * Lists the shortcuts over the video
+     * @param shortcuts {{description: string, keys: string[]}[]}
+     */
+    showShortcuts(shortcuts) {
+        const list = this.#shortcutsElements.list
+        list.replaceChildren()
+        for (const shortcut of shortcuts) {
+            const description = document.createElement("div")
+            description.classList.add("shortcut-description")
+            description.innerText = shortcut.description
+            const keys = document.createElement("div")
+            keys.classList.add("shortcut-keys")
+            // Like the digit and numpad keys, several keys can look the same
+            for (const label of new Set(shortcut.keys.map(OpenVideoPlayerKeymap.keyLabel))) {
+                const key = document.createElement("kbd")
+                key.innerText = label
+                keys.appendChild(key)
+            }
+            list.appendChild(description)
+            list.appendChild(keys)
+        }
+        this.#shortcutsElements.root.classList.add("show")
+    }
+
+    hideShortcuts() {
+        this.#shortcutsElements.root.classList.remove("show")
+    }
+
+    /**
+     * @param shortcuts {{description: string, keys: string[]}[]}
+     */
+    toggleShortcuts(shortcuts) {
+        if (this.shortcutsShown) this.hideShortcuts()
+        else this.showShortcuts(shortcuts)
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get shortcutsShown() {
+        return this.#shortcutsElements.root.classList.contains("show")
+    }
+
+    #updateAdControls() {
+        if (!this.#currentAd) return
+        const {ad, index, count} = this.#currentAd
+        const currentTime = this.#video.currentTime
+        const duration = this.#video.duration
+
+        this.#adElements.badge.innerText = this.#locale.message("ad.badge", {index: index + 1, count})
+        this.#adElements.countdown.innerText = isFinite(duration) ? this.#locale.formatTime(duration - currentTime) : ""
+
+        const skip = this.#adElements.skip
+        skip.classList.toggle("show", ad.skipAfter !== null)
+        if (ad.skipAfter === null) return
+        const skippable = currentTime >= ad.skipAfter
+        skip.classList.toggle("skippable", skippable)
+        skip.innerText = skippable ? this.#locale.message("ad.skip") : this.#locale.message("ad.skipIn", {count: Math.ceil(ad.skipAfter - currentTime)})
+    }
+
+    #createControls() {
+        // Container
         this.#controlsElements = {}
         const root = this.#controlsElements.root = document.createElement("div")
         root.classList.add("controls")
         const rootBBox = this.#controlsElements.rootBBox = new OpenVideoPlayerUtils.CachedBBox(root)
-        const showControls = this.#showAndHideControlsAndVideoInfo.bind(this)
+        const showControls = e => {
+            if (this.#lastPointerType !== "touch") this.#showAndHideControlsAndVideoInfo(e)
+            else if (e.target !== this.#video) this.#showAndHideControlsAndVideoInfo() // Taps on the video are gestures
+        }
         this.#container.addEventListener("mousemove", showControls)
         this.#container.addEventListener("mouseleave", showControls)
         this.#container.addEventListener("click", showControls)
         this.#video.addEventListener("pause", showControls)
         this.#video.addEventListener("play", showControls)
 
-        // Time bar
-        const time = this.#controlsElements.time = document.createElement("div")
-        time.classList.add("time")
-        const timeSlider = this.#controlsElements.timeSlider = new OpenVideoPlayerSlider(time)
-        timeSlider.addEventListener("change", e => {
-            if (this.#player.controlsFrozen) return // If the controls are frozen
-            if (e.ghostValue !== null) return // If the user is only moving the ghost slider
-            if (!e.valueHasChanged) return // If the user just left moving the ghost slider
-            this.setTime(e.value)
-        })
-        timeSlider.addEventListener("resize", e => {
-            const bbox = this.#containerBBox.value
-            const multiplier = bbox.height / 800 // TODO Tweak the value
-            time.style.setProperty("--slider-height", String(Number(multiplier * 5).toPrecision(2)).concat("px"))
-            time.style.setProperty("--slider-thick-height", String(Number(multiplier * 7).toPrecision(2)).concat("px"))
-        })
-        this.#video.addEventListener("timeupdate", e => {
-            this.#player.freezeControls()
-            timeSlider.value = this.#video.currentTime
-            this.#player.unfreezeControls()
-        })
-        this.#video.addEventListener("durationchange", e => {
-            this.#player.freezeControls()
-            const currentTime = this.#video.currentTime
-            timeSlider.range(0, this.#video.duration, 1 / 60)
-            timeSlider.value = OpenVideoPlayerUtils.clamp(currentTime, 0, this.#video.duration)
-            this.#player.unfreezeControls()
-        })
+        // Time bar
+        const time = this.#controlsElements.time = document.createElement("div")
+        time.classList.add("time")
+        const timeSlider = this.#controlsElements.timeSlider = new OpenVideoPlayerSlider(time)
+        timeSlider.addEventListener("change", e => {
+            if (this.#player.controlsFrozen) return // If the controls are frozen
+            if (this.adMode) return // Ads can't be seeked
+            if (e.ghostValueHasChanged) this.#updateSliderTooltip(e.ghostValue)
+            if (e.ghostValue !== null) return // If the user is only moving the ghost slider
+            if (!e.valueHasChanged) return // If the user just left moving the ghost slider
+            this.setTime(e.value)
+        })
+        timeSlider.label = this.#locale.message("slider.time")
+        timeSlider.valueText = value => this.#locale.message("slider.timeValue", {
+            time: this.#locale.formatTime(value),
+            duration: this.#locale.formatTime(isFinite(this.#video.duration) ? this.#video.duration : 0)
+        })
+        timeSlider.keyStep = 5
+        timeSlider.addEventListener("resize", e => {
+            const bbox = this.#containerBBox.value
+            const multiplier = bbox.height / 800 // TODO Tweak the value
+            time.style.setProperty("--slider-height", String(Number(multiplier * 5).toPrecision(2)).concat("px"))
+            time.style.setProperty("--slider-thick-height", String(Number(multiplier * 7).toPrecision(2)).concat("px"))
+        })
+        this.#video.addEventListener("timeupdate", e => {
+            if (this.live) this.#updateTimeRange() // The DVR window moves
+            this.#player.freezeControls()
+            timeSlider.value = this.#video.currentTime
+            this.#player.unfreezeControls()
+            this.#updateChapterControls()
+            this.#updateTimeDisplay()
+        })
+        this.#video.addEventListener("durationchange", e => {
+            this.#updateTimeRange()
+            this.#updateTimeDisplay()
+        })
+        this.#video.addEventListener("progress", e => {
+            if (this.live) this.#updateTimeRange()
+        })
+        OpenVideoPlayerUtils.addEventListeners(this.#video, ["progress", "durationchange", "seeked", "emptied"], () => this.#updateBufferedRanges())
+        // Shown above the time bar while hovering it
+        const sliderTooltip = this.#controlsElements.sliderTooltip = document.createElement("div")
+        sliderTooltip.classList.add("slider-tooltip")
+        const sliderTooltipFrame = this.#controlsElements.sliderTooltipFrame = document.createElement("div")
+        sliderTooltipFrame.classList.add("slider-tooltip-frame")
+        const sliderTooltipFrameImage = this.#controlsElements.sliderTooltipFrameImage = document.createElement("img")
+        sliderTooltipFrameImage.classList.add("slider-tooltip-frame-image")
+        sliderTooltipFrameImage.alt = ""
+        sliderTooltipFrame.appendChild(sliderTooltipFrameImage)
+        const sliderTooltipChapter = this.#controlsElements.sliderTooltipChapter = document.createElement("div")
+        sliderTooltipChapter.classList.add("slider-tooltip-chapter")
+        const sliderTooltipTime = this.#controlsElements.sliderTooltipTime = document.createElement("div")
+        sliderTooltipTime.classList.add("slider-tooltip-time")
+        sliderTooltip.appendChild(sliderTooltipFrame)
+        sliderTooltip.appendChild(sliderTooltipChapter)
+        sliderTooltip.appendChild(sliderTooltipTime)
+
+        // Bottom controls
+        const bottomControls = this.#controlsElements.bottomControls = document.createElement("div")
+        bottomControls.classList.add("bottom-controls")
+
+        // Left controls
+        const leftControls = this.#controlsElements.leftControls = document.createElement("div")
+        leftControls.classList.add("left-controls")
+        // Previous video
+        const previous = this.#controlsElements.previous = new OpenVideoPlayerControlsButton("previous")
+        previous.element.classList.add("previous", "controls-item", "hidden")
+        previous.label = this.#locale.message("button.previous")
+        previous.addEventListener("click", this.playPrevious.bind(this))
+        leftControls.appendChild(previous.element)
+        // Play/pause
+        const playPause = this.#controlsElements.playPause = new OpenVideoPlayerControlsButton("play-pause")
+        playPause.element.classList.add("play-pause", "controls-item")
+        playPause.addEventListener("click", this.togglePaused.bind(this))
+        this.#video.addEventListener("click", () => {
+            if (this.#lastPointerType !== "touch") this.togglePaused() // Taps are gestures
+        })
+        this.updatePausedControls()
+        leftControls.appendChild(playPause.element)
+        // Next video
+        const next = this.#controlsElements.next = new OpenVideoPlayerControlsButton("next")
+        next.element.classList.add("next", "controls-item", "hidden")
+        next.label = this.#locale.message("button.next")
+        next.addEventListener("click", this.playNext.bind(this))
+        leftControls.appendChild(next.element)
+        // Volume
+        const volume = this.#controlsElements.volume = document.createElement("div")
+        volume.classList.add("volume", "controls-item")
+        OpenVideoPlayerUtils.setCSSSize(volume)
+        this.#video.addEventListener("volumechange", () => {
+            volume.classList.toggle("muted", this.#video.muted)
+        })
+        const volumeButton = this.#controlsElements.volumeButton = new OpenVideoPlayerControlsButton("volume")
+        volumeButton.element.classList.add("volume-button")
+        volumeButton.addEventListener("click", this.toggleMuted.bind(this))
+        // volume.addEventListener("click", this.#toggleMuted.bind(this))
+        const volumeSliderContainer = this.#controlsElements.volumeSliderContainer = document.createElement("div")
+        volumeSliderContainer.classList.add("volume-slider")
+        const volumeSlider = this.#controlsElements.volumeSlider = new OpenVideoPlayerSlider(volumeSliderContainer)
+        volumeSlider.range(0, 1, .05)
+        volumeSlider.label = this.#locale.message("slider.volume")
+        volumeSlider.valueText = value => this.#locale.formatPercent(value)
+        volumeSlider.addEventListener("change", e => {
+            if (this.#player.controlsFrozen) return // If the controls are frozen
+            if (e.ghostValue !== null) return // If the user is only moving the ghost slider
+            if (!e.valueHasChanged) return // If the user just left moving the ghost slider
+            if (this.#video.muted && e.value > 0) {
+                volumeSlider.value = 0
+                return
+            }
+            this.setVolume(e.value)
+        })
+        volumeSlider.addEventListener("resize", e => {
+            const bbox = rootBBox.value
+            volumeSliderContainer.style.setProperty("--slider-height", String(Number(bbox.height / 13).toPrecision(2)).concat("px"))
+            volumeSliderContainer.style.setProperty("--slider-thick-height", String(Number(bbox.height / 11).toPrecision(2)).concat("px"))
+        })
+        volumeSlider.value = 1 // Default value
+        this.updateVolumeControls()
+        volume.appendChild(volumeButton.element)
+        volume.appendChild(volumeSliderContainer)
+        leftControls.appendChild(volume)
+        // Time
+        const timeDisplay = this.#controlsElements.timeDisplay = document.createElement("div")
+        timeDisplay.classList.add("time-display", "controls-item")
+        timeDisplay.addEventListener("click", () => {
+            this.#showRemainingTime = !this.#showRemainingTime
+            this.#updateTimeDisplay()
+        })
+        leftControls.appendChild(timeDisplay)
+        this.#updateTimeDisplay()
+        // Live
+        const liveBadge = this.#controlsElements.liveBadge = document.createElement("button")
+        liveBadge.classList.add("live-badge", "controls-item")
+        liveBadge.innerText = this.#locale.message("live")
+        liveBadge.addEventListener("click", this.seekToLiveEdge.bind(this))
+        leftControls.appendChild(liveBadge)
+        // Current chapter
+        const chapter = this.#controlsElements.chapter = document.createElement("div")
+        chapter.classList.add("chapter", "controls-item", "hidden")
+        leftControls.appendChild(chapter)
+
+        // Right controls
+        const rightControls = this.#controlsElements.rightControls = document.createElement("div")
+        rightControls.classList.add("right-controls")
+        // Fullscreen
+        const fullscreen = this.#controlsElements.fullscreen = new OpenVideoPlayerControlsButton("fullscreen")
+        fullscreen.element.classList.add("fullscreen", "controls-item")
+        fullscreen.addEventListener("click", this.toggleFullscreen.bind(this))
+        this.#video.addEventListener("dblclick", () => {
+            if (this.#lastPointerType !== "touch") this.toggleFullscreen() // Double-taps seek
+        })
+        const updateFullscreenLabel = () => fullscreen.label = this.#locale.message(document.fullscreenElement === this.#container ? "button.exitFullscreen" : "button.fullscreen")
+        this.#container.addEventListener("fullscreenchange", updateFullscreenLabel)
+        updateFullscreenLabel()
+        rightControls.appendChild(fullscreen.element)
+        // Settings
+        const settings = this.#controlsElements.settings = new OpenVideoPlayerControlsButton("settings")
+        settings.element.classList.add("settings", "controls-item")
+        settings.label = this.#locale.message("button.settings")
+        const settingsMenu = this.#controlsElements.settingsMenu = new OpenVideoPlayerMenu("settings-menu")
+        settingsMenu.attachTo(settings.element)
+        const locale = this.#locale
+        settingsMenu.addSubmenu("speed", locale.message("settings.speed"))
+        settingsMenu.setOptions("speed", OpenVideoPlayerUI.SPEEDS.map(speed => ({value: speed, label: speed === 1 ? locale.message("settings.speedNormal") : locale.formatNumber(speed)})), 1)
+        // Custom speed
+        const speedCustom = document.createElement("div")
+        speedCustom.classList.add("menu-slider")
+        const speedSliderLabel = document.createElement("div")
+        speedSliderLabel.classList.add("menu-slider-label")
+        speedSliderLabel.innerText = locale.message("settings.speedCustom")
+        const speedSliderValue = this.#controlsElements.speedSliderValue = document.createElement("div")
+        speedSliderValue.classList.add("menu-slider-value")
+        const speedSliderContainer = document.createElement("div")
+        speedSliderContainer.classList.add("speed-slider")
+        const speedSlider = this.#controlsElements.speedSlider = new OpenVideoPlayerSlider(speedSliderContainer)
+        speedSlider.range(OpenVideoPlayerUI.SPEEDS[0], OpenVideoPlayerUI.SPEEDS[OpenVideoPlayerUI.SPEEDS.length - 1], .05)
+        speedSlider.label = locale.message("settings.speed")
+        speedSlider.valueText = value => `${locale.formatNumber(value)}\u00d7`
+        speedSlider.addEventListener("change", e => {
+            if (this.#player.controlsFrozen) return // If the controls are frozen
+            if (e.ghostValue !== null) return // If the user is only moving the ghost slider
+            if (!e.valueHasChanged) return // If the user just left moving the ghost slider
+            this.setSpeed(e.value)
+        })
+        speedCustom.appendChild(speedSliderLabel)
+        speedCustom.appendChild(speedSliderValue)
+        speedCustom.appendChild(speedSliderContainer)
+        settingsMenu.addSubmenuElement("speed", speedCustom)
+        // Pitch preservation, marked like a selected option
+        const preservePitch = this.#controlsElements.preservePitch = document.createElement("div")
+        preservePitch.classList.add("menu-option", "preserve-pitch")
+        preservePitch.innerText = locale.message("settings.preservePitch")
+        preservePitch.addEventListener("click", () => this.preservesPitch = !this.preservesPitch)
+        settingsMenu.addSubmenuElement("speed", preservePitch)
+        settingsMenu.addSubmenu("quality", locale.message("settings.quality"))
+        settingsMenu.addSubmenu("captions", locale.message("settings.captions"))
+        settingsMenu.addSubmenu("captionSize", locale.message("settings.captionSize"))
+        settingsMenu.setOptions("captionSize", OpenVideoPlayerCaptions.SIZES.map(size => ({value: size, label: locale.formatPercent(size)})), null)
+        settingsMenu.addSubmenu("captionColor", locale.message("settings.captionColor"))
+        settingsMenu.setOptions("captionColor", OpenVideoPlayerCaptions.COLORS.map(color => ({value: color, label: locale.message(`color.${color}`)})), null)
+        settingsMenu.addSubmenu("captionBackground", locale.message("settings.captionBackground"))
+        settingsMenu.setOptions("captionBackground", OpenVideoPlayerCaptions.BACKGROUND_OPACITIES.map(opacity => ({value: opacity, label: locale.formatPercent(opacity)})), null)
+        settingsMenu.addEventListener("select", e => {
+            if (e.submenu === "speed") this.setSpeed(e.value)
+            else if (e.submenu === "quality") this.#player.setQuality(e.value)
+            else if (e.submenu === "captions") this.setCaptionLanguage(e.value)
+            else if (e.submenu === "captionSize") this.captionStyle = {size: e.value}
+            else if (e.submenu === "captionColor") this.captionStyle = {color: e.value}
+            else if (e.submenu === "captionBackground") this.captionStyle = {backgroundOpacity: e.value}
+        })
+        rightControls.appendChild(settings.element)
+        root.appendChild(settingsMenu.element)
+        // Captions
+        const captions = this.#controlsElements.captions = new OpenVideoPlayerControlsButton("captions")
+        captions.element.classList.add("captions", "controls-item")
+        captions.label = locale.message("button.captions")
+        captions.element.setAttribute("aria-pressed", "false")
+        captions.addEventListener("click", this.toggleCaptions.bind(this))
+        rightControls.appendChild(captions.element)
+        // Picture-in-picture, if the browser has it
+        const pictureInPicture = this.#controlsElements.pictureInPicture = new OpenVideoPlayerControlsButton("picture-in-picture")
+        pictureInPicture.element.classList.add("picture-in-picture", "controls-item")
+        pictureInPicture.element.classList.toggle("hidden", !document.pictureInPictureEnabled || this.#video.disablePictureInPicture)
+        pictureInPicture.addEventListener("click", this.togglePictureInPicture.bind(this))
+        const updatePictureInPictureLabel = () => pictureInPicture.label = locale.message(this.pictureInPicture ? "button.exitPictureInPicture" : "button.pictureInPicture")
+        OpenVideoPlayerUtils.addEventListeners(this.#video, ["enterpictureinpicture", "leavepictureinpicture"], updatePictureInPictureLabel)
+        updatePictureInPictureLabel()
+        rightControls.appendChild(pictureInPicture.element)
+
+        // Finalize bottom controls
+        bottomControls.appendChild(leftControls)
+        bottomControls.appendChild(rightControls)
+
+        // Finalize
+        root.appendChild(sliderTooltip)
+        root.appendChild(time)
+        root.appendChild(bottomControls);
+        [playPause, volumeButton, captions, settings, fullscreen, pictureInPicture].forEach(button => OpenVideoPlayerUtils.setCSSSize(button.element)) // CSS aspect ratio 1:1
+        this.captionStyle = {} // Mark the default style in the menu
+        this.setSpeed(1)
+        this.preservesPitch = true
+        settingsMenu.setSubmenuVisible("quality", false) // Until there are qualities to pick from
+        this.updateCaptionTracks([])
+
+        this.#container.appendChild(root)
+    }
+
+    /**
+     * @param time {number}
+     * @returns {{start: number, title: string}|null}
+     */
+    #chapterAt(time) {
+        return this.#chapters.findLast(chapter => chapter.start <= time) || null
+    }
+
+    #updateChapterControls() {
+        const chapter = this.#chapterAt(this.#video.currentTime)
+        const element = this.#controlsElements.chapter
+        if (element.innerText !== (chapter?.title ?? "")) element.innerText = chapter?.title ?? ""
+        element.classList.toggle("hidden", !chapter)
+    }
+
+    /**
+     * The part of the video that can be seeked, the DVR window for live streams
+     * @returns {{start: number, end: number}}
+     */
+    #seekableRange() {
+        const video = this.#video
+        if (!this.live) return {start: 0, end: video.duration || 0}
+        const seekable = video.seekable
+        if (!seekable.length) return {start: video.currentTime, end: video.currentTime}
+        return {start: seekable.start(0), end: seekable.end(seekable.length - 1)}
+    }
+
+    #updateTimeRange() {
+        /**
+         * @type {OpenVideoPlayerSlider}
+         */
+        const timeSlider = this.#controlsElements.timeSlider
+        const live = this.live
+        const {start, end} = this.#seekableRange()
+        this.#container.classList.toggle("live", live)
+        // Without a DVR window, there's nothing to seek
+        timeSlider.locked = this.adMode || (live && end - start < OpenVideoPlayerUI.MIN_DVR_WINDOW)
+        this.#updateLiveControls()
+
+        const range = timeSlider.getRange()
+        // The DVR window moves all the time, don't change the range for every little step
+        if (live && Math.abs(range.min - start) < .5 && Math.abs(range.max - end) < .5) return
+
+        this.#player.freezeControls()
+        const currentTime = this.#video.currentTime
+        timeSlider.range(start, end, 1 / 60)
+        timeSlider.value = OpenVideoPlayerUtils.clamp(currentTime, start, end)
+        this.#player.unfreezeControls()
+    }
+
+    #updateBufferedRanges() {
+        const buffered = this.#video.buffered
+        const ranges = []
+        for (let i = 0; i < buffered.length; i++) ranges.push({start: buffered.start(i), end: buffered.end(i)})
+        this.#controlsElements.timeSlider.setRanges("buffered", this.adMode ? [] : ranges)
+    }
+
+    #updateTimeDisplay() {
+        const video = this.#video
+        const element = this.#controlsElements.timeDisplay
+        const duration = Number.isFinite(video.duration) ? video.duration : 0
+        const withHours = duration >= 3600
+        const current = this.#showRemainingTime ?
+            `-${this.#locale.formatTime(duration - video.currentTime, withHours)}` :
+            this.#locale.formatTime(video.currentTime, withHours)
+        const text = `${current} / ${this.#locale.formatTime(duration, withHours)}`
+        if (element.innerText !== text) element.innerText = text
+    }
+
+    #updateLiveControls() {
+        const atLiveEdge = this.live && this.#liveEdge() - this.#video.currentTime <= OpenVideoPlayerUI.LIVE_EDGE_TOLERANCE
+        this.#controlsElements.liveBadge.classList.toggle("at-live-edge", atLiveEdge)
+    }
+
+    /**
+     * @returns {number}
+     */
+    #liveEdge() {
+        const engineLiveEdge = this.#engine?.liveEdge
+        if (typeof engineLiveEdge === "number") return engineLiveEdge
+        return this.#seekableRange().end
+    }
+
+    /**
+     * Jumps to the newest part of a live stream
+     */
+    seekToLiveEdge() {
+        if (!this.live) return
+        this.setTime(this.#liveEdge())
+        this.#updateLiveControls()
+    }
+
+    /**
+     * Whether a live stream is being played
+     * @returns {boolean}
+     */
+    get live() {
+        return this.#video.duration === Infinity
+    }
+
+    /**
+     * Shows what's at the hovered time above the time bar - the frame, the chapter and the time
+     * @param ghostValue {number|null} The hovered time, null if the time bar isn't hovered
+     */
+    #updateSliderTooltip(ghostValue) {
+        this.#sliderGhostValue = ghostValue
+        const tooltip = this.#controlsElements.sliderTooltip
+        if (ghostValue === null || !this.#video.duration || this.#controlsElements.timeSlider.locked) {
+            tooltip.classList.remove("show")
+            return
+        }
+
+        const chapter = this.#chapterAt(ghostValue)
+        this.#controlsElements.sliderTooltipChapter.innerText = chapter?.title ?? ""
+        const {min, max} = this.#controlsElements.timeSlider.getRange()
+        // Live streams count back from the newest part
+        this.#controlsElements.sliderTooltipTime.innerText = this.live ?
+            `-${this.#locale.formatTime(max - ghostValue)}` : this.#locale.formatTime(ghostValue)
+        this.#updateSliderTooltipFrame(ghostValue)
+        tooltip.classList.add("show")
+
+        // Centered above the cursor, but kept inside the player
+        const time = this.#controlsElements.time
+        const progress = (ghostValue - min) / (max - min)
+        const x = time.offsetLeft + (this.#locale.direction === "rtl" ? 1 - progress : progress) * time.offsetWidth
+        const maxLeft = this.#controlsElements.root.clientWidth - tooltip.offsetWidth
+        tooltip.style.left = `${OpenVideoPlayerUtils.clamp(x - tooltip.offsetWidth / 2, 0, Math.max(0, maxLeft))}px`
+    }
+
+    /**
+     * @param time {number}
+     */
+    #updateSliderTooltipFrame(time) {
+        const frameElement = this.#controlsElements.sliderTooltipFrame
+        const image = this.#controlsElements.sliderTooltipFrameImage
+        const storyboard = this.#storyboard
+        // Loaded once, not on every hover while it's loading
+        if (storyboard && !storyboard.loaded && !storyboard.loading && !storyboard.failed) {
+            storyboard.load().then(() => {
+                // Show it if the time bar is still hovered
+                if (storyboard === this.#storyboard && this.#sliderGhostValue !== null) this.#updateSliderTooltip(this.#sliderGhostValue)
+            }).catch(e => console.error("Failed to load the storyboard:", e))
+        }
+        const frame = storyboard?.frameAt(time)
+        frameElement.classList.toggle("show", Boolean(frame))
+        if (!frame) return
+
+        if (image.src !== frame.url.href) image.src = frame.url.href
+        // Scaled down to fit small players
+        const bbox = this.#containerBBox.value
+        const maxWidth = bbox.width * .3, maxHeight = bbox.height * .4
+        if (frame.width === null) {
+            // The whole image is the frame
+            frameElement.style.width = `${maxWidth}px`
+            frameElement.style.removeProperty("height")
+            image.style.removeProperty("transform")
+            image.classList.add("whole")
+            return
+        }
+        const scale = Math.min(1, maxWidth / frame.width, maxHeight / frame.height)
+        frameElement.style.width = `${frame.width * scale}px`
+        frameElement.style.height = `${frame.height * scale}px`
+        image.style.transform = `scale(${scale}) translate(${-frame.x}px, ${-frame.y}px)`
+        image.classList.remove("whole")
+    }
+
+    /**
+     * Called to update the visibility of the controls and video info. Bad fn name, ik
+     * @param e {MouseEvent|null}
+     */
+    #showAndHideControlsAndVideoInfo(e = null) {
+        if (this.#hideControlsAndVideoInfoTimeout) {
+            clearTimeout(this.#hideControlsAndVideoInfoTimeout)
+            this.#hideControlsAndVideoInfoTimeout = null
+        }
+
+        this.#controlsElements.root.classList.add("show")
+        this.#videoInfoElements.root.classList.toggle("show", this.#videoInfoAllowed)
+
+        const bbox1 = this.#controlsElements.rootBBox.value
+        const bbox2 = this.#videoInfoElements.rootBBox.value
+        // Cancel the hiding if the mouse is within the controls or video info
+        if (e && OpenVideoPlayerUtils.isPointWithinBBox(bbox1, e.clientX, e.clientY)) return
+        if (e && OpenVideoPlayerUtils.isPointWithinBBox(bbox2, e.clientX, e.clientY)) return
+        // Cancel the hiding if the video is paused or buffering
+        if (this.#video.paused) return
+        if (this.buffering) return
+        if (this.#controlsElements.timeSlider.sliding) return
+        if (this.#controlsElements.volumeSlider.sliding) return
+        if (this.#controlsElements.settingsMenu.opened) return
+        this.#hideControlsAndVideoInfoTimeout = setTimeout(this.#hideControlsAndVideoInfo.bind(this), 1500)
+    }
+
+    #hideControlsAndVideoInfo() {
+        if (this.#hideControlsAndVideoInfoTimeout) {
+            clearTimeout(this.#hideControlsAndVideoInfoTimeout)
+            this.#hideControlsAndVideoInfoTimeout = null
+        }
+
+        this.#controlsElements.root.classList.remove("show")
+        this.#videoInfoElements.root.classList.remove("show")
+    }
+
+    #createVideoInfo() {
+        this.#videoInfoElements = {}
+        const root = this.#videoInfoElements.root = document.createElement("div")
+        root.classList.add("video-info")
+        const rootBBox = this.#videoInfoElements.rootBBox = new OpenVideoPlayerUtils.CachedBBox(root)
+
+        // Left
+        const left = this.#videoInfoElements.left = document.createElement("div")
+        left.classList.add("left")
+        const author = this.#videoInfoElements.author = document.createElement("div")
+        author.classList.add("author")
+        author.addEventListener("click", () => {
+            if (this.#player.currentVideo.author.profileUrl)
+                OpenVideoPlayerUtils.openLinkInNewTab(this.#player.currentVideo.author.profileUrl, this.#locale)
+        })
+        const authorPicture = this.#videoInfoElements.authorPicture = document.createElement("img")
+        authorPicture.classList.add("author-picture")
+        authorPicture.alt = ""
+        const authorName = this.#videoInfoElements.authorName = document.createElement("div")
+        authorName.classList.add("author-name")
+        OpenVideoPlayerUtils.setCSSSize(authorName)
+        author.appendChild(authorPicture)
+        author.appendChild(authorName)
+        left.appendChild(author)
+
+        // Right
+        const right = this.#videoInfoElements.right = document.createElement("div")
+        right.classList.add("right")
+        const title = this.#videoInfoElements.title = document.createElement("div")
+        title.classList.add("title")
+        // Opens the description
+        title.tabIndex = 0
+        title.setAttribute("role", "button")
+        title.setAttribute("aria-expanded", "false")
+        title.addEventListener("click", () => this.toggleDescription())
+        title.addEventListener("keydown", e => {
+            if (e.key !== "Enter" && e.key !== " ") return
+            e.preventDefault()
+            e.stopPropagation() // Not a player shortcut
+            this.toggleDescription()
+        })
+        const mainTitle = this.#videoInfoElements.mainTitle = document.createElement("div")
+        mainTitle.classList.add("main-title")
+        title.appendChild(mainTitle)
+        const subtitle = this.#videoInfoElements.subtitle = document.createElement("div")
+        subtitle.classList.add("subtitle")
+        title.appendChild(subtitle)
+        right.appendChild(title)
+
+        // Share
+        const share = this.#videoInfoElements.share = new OpenVideoPlayerControlsButton("share")
+        share.element.classList.add("share-button")
+        share.label = this.#locale.message("button.share")
+        share.addEventListener("click", () => this.toggleShare())
+
+        // Finalize
+        root.appendChild(left)
+        root.appendChild(right)
+        root.appendChild(share.element)
+        this.#container.appendChild(root)
+    }
+
+    /**
+     * @param url {URL}
+     * @param type {string}
+     */
+    addSource(url, type) {
+        const src = url.toString()
+        if (this.#videoSources.find(source => source.src === src)) throw new Error("Source already exists")
+
+        const source = document.createElement("source")
+        source.classList.add("source")
+        source.src = src
+        source.type = type
+        this.#video.appendChild(source)
+        this.#videoSources.push(source)
+        this.#video.classList.remove("blank")
+    }
+
+    removeSource(url, type) {
+        const src = url.toString()
+        const source = this.#videoSources.find(source => source.src === src)
+        if (!source || source.type !== type) throw new Error("Source doesn't exist")
+        this.#videoSources.splice(this.#videoSources.indexOf(source), 1)
+        this.#video.removeChild(source)
+        this.#videoSources.length || this.#video.classList.add("blank")
+    }
+
+    resetVideo() {
+        if (this.#engine) {
+            this.#engine.detach()
+            this.#engine = null
+            this.#video.classList.add("blank")
+        }
+        // Copy the list, removeSource modifies it
+        Array.from(this.#videoSources).forEach(source => this.removeSource(new URL(source.src), source.type))
+    }
+
+    /**
+     * Plays the video through the streaming engine instead of source elements
+     * @param engine {OpenVideoPlayerStreamingEngine}
+     * @param startTime {number}
+     */
+    setEngine(engine, startTime = 0) {
+        this.resetVideo()
+        this.#engine = engine
+        engine.attach(this.#video, startTime)
+        this.#video.classList.remove("blank")
+    }
+
+    /**
+     * Replaces the video's sources, keeping the current time, paused state, volume and playback rate
+     * @param sources {{url: URL, type: string}[]}
+     */
+    switchSources(sources) {
+        const video = this.#video
+        const currentTime = video.currentTime,
+            paused = video.paused,
+            playbackRate = video.playbackRate
+
+        this.resetVideo()
+        for (const source of sources) this.addSource(source.url, source.type)
+        video.load() // Resets the playback rate, volume is kept
+
+        video.currentTime = currentTime
+        video.playbackRate = playbackRate
+        if (!paused) video.play().catch(e => console.error("Failed to resume after switching sources:", e))
+    }
+
+    /**
+     * Updates the quality options of the settings menu
+     * @param qualities {{label: string}[]}
+     * @param preferred {string|null} The quality picked by the user, null for auto
+     * @param active {string|null} The quality that is being played
+     */
+    updateQualities(qualities, preferred, active) {
+        /**
+         * @type {OpenVideoPlayerMenu}
+         */
+        const menu = this.#controlsElements.settingsMenu
+        const options = qualities.map(quality => ({value: quality.label, label: quality.label}))
+        const locale = this.#locale
+        options.unshift({value: null, label: preferred === null && active ? locale.message("settings.qualityAutoActive", {quality: active}) : locale.message("settings.qualityAuto")})
+        menu.setOptions("quality", options, preferred)
+        menu.setSubmenuVisible("quality", qualities.length > 1)
+        this.#updateSettingsButton()
+    }
+
+    #updateSettingsButton() {
+        this.#controlsElements.settings.element.classList.toggle("hidden", this.#controlsElements.settingsMenu.empty)
+    }
+
+    /**
+     * Replaces the caption tracks, keeping the captions on if the new video has them in the same language
+     * @param tracks {{url: URL, language: string, label: string, format: string}[]}
+     * @param language {string|null} The language to show if the new video has it, the current one by default
+     */
+    updateCaptionTracks(tracks, language = this.#captionLanguage) {
+        this.#captionTracks = tracks
+        /**
+         * @type {OpenVideoPlayerMenu}
+         */
+        const menu = this.#controlsElements.settingsMenu
+        const options = tracks.map(track => ({value: track.language, label: track.label}))
+        options.unshift({value: null, label: this.#locale.message("settings.captionsOff")})
+        menu.setOptions("captions", options, null)
+        for (const name of ["captions", "captionSize", "captionColor", "captionBackground"]) menu.setSubmenuVisible(name, tracks.length > 0)
+        this.#controlsElements.captions.element.classList.toggle("hidden", !tracks.length)
+        this.#updateSettingsButton()
+
+        this.#showCaptions(tracks.some(track => track.language === language) ? language : null)
+    }
+
+    /**
+     * Shows the captions in the language, null hides them
+     * @param language {string|null}
+     * @returns {Promise<void>}
+     */
+    async setCaptionLanguage(language) {
+        if (language !== null && !this.#captionTracks.some(track => track.language === language)) throw new Error(`No captions in "${language}"`)
+        const shown = this.#showCaptions(language)
+        this.dispatchEvent(new Event("captionlanguagechange"))
+        await shown
+    }
+
+    /**
+     * @param language {string|null} One of the tracks' languages or null
+     * @returns {Promise<void>}
+     */
+    async #showCaptions(language) {
+        const track = this.#captionTracks.find(track => track.language === language) || null
+        this.#captionLanguage = language
+        if (language !== null) this.#lastCaptionLanguage = language
+        this.#controlsElements.captions.element.classList.toggle("on", language !== null)
+        this.#controlsElements.captions.element.setAttribute("aria-pressed", String(language !== null))
+        this.#controlsElements.settingsMenu.setValue("captions", language)
+        this.#captions.cues = []
+        if (!track) return
+
+        try {
+            const cues = await this.#loadCaptions(track)
+            if (this.#captionLanguage !== language || !this.#captionTracks.includes(track)) return // Changed while loading
+            this.#captions.cues = cues
+            this.#captions.update(this.#video.currentTime)
+        } catch (e) {
+            console.error("Failed to load the captions:", e)
+        }
+    }
+
+    /**
+     * @param track {{url: URL, format: string}}
+     * @returns {Promise<Object[]>}
+     */
+    #loadCaptions(track) {
+        const key = `${track.format} ${track.url}`
+        if (!this.#captionCues.has(key)) {
+            const cues = fetch(track.url).then(response => {
+                if (!response.ok) throw new Error(`Failed to fetch ${track.url}: ${response.status}`)
+                return response.text()
+            }).then(text => OpenVideoPlayerCaptions.parse(text, track.format))
+            cues.catch(() => this.#captionCues.delete(key)) // Try again next time
+            this.#captionCues.set(key, cues)
+        }
+        return this.#captionCues.get(key)
+    }
+
+    async toggleCaptions() {
+        if (!this.#captionTracks.length) return
+        if (this.#captionLanguage !== null) return await this.setCaptionLanguage(null)
+
+        // The last shown language, the user's language or the first one
+        const userLanguage = (navigator.language || "").split("-")[0]
+        const track = this.#captionTracks.find(track => track.language === this.#lastCaptionLanguage) ||
+            this.#captionTracks.find(track => track.language.split("-")[0] === userLanguage) ||
+            this.#captionTracks[0]
+        await this.setCaptionLanguage(track.language)
+    }
+
+    /**
+     * @returns {string|null}
+     */
+    get captionLanguage() {
+        return this.#captionLanguage
+    }
+
+    /**
+     * @param storyboard {{urls: URL[], columns: number, rows: number, interval: number, width: number, height: number}|{vtt: URL}|null}
+     */
+    updateStoryboard(storyboard) {
+        this.#storyboard = storyboard ? new OpenVideoPlayerStoryboard(storyboard) : null
+    }
+
+    /**
+     * Splits the time bar into the chapters
+     * @param chapters {{start: number, title: string}[]}
+     */
+    updateChapters(chapters) {
+        this.#chapters = chapters
+        this.#controlsElements.timeSlider.setSegments(chapters.map(chapter => chapter.start))
+        this.#updateChapterControls()
+    }
+
+    /**
+     * Jumps to the next chapter, or to the previous one (restarting the current one first)
+     * @param direction {number} Positive for the next one, negative for the previous one
+     */
+    async seekChapter(direction) {
+        if (this.adMode || !this.#chapters.length) return
+        const currentTime = this.#video.currentTime
+        const index = this.#chapters.findLastIndex(chapter => chapter.start <= currentTime)
+        let target
+        if (direction > 0) target = this.#chapters[index + 1]
+        // A few seconds into a chapter, going back restarts it
+        else if (index !== -1 && currentTime - this.#chapters[index].start > 3) target = this.#chapters[index]
+        else target = this.#chapters[index - 1]
+        if (!target) return
+
+        this.#controlsElements.timeSlider.value = target.start
+        this.updatePausedControls()
+    }
+
+    /**
+     * @param style {{size: number|undefined, color: string|undefined, backgroundOpacity: number|undefined}}
+     */
+    set captionStyle(style) {
+        this.#captions.style = style
+        const {size, color, backgroundOpacity} = this.#captions.style
+        const menu = this.#controlsElements.settingsMenu
+        menu.setValue("captionSize", size)
+        menu.setValue("captionColor", color)
+        menu.setValue("captionBackground", backgroundOpacity)
+        this.dispatchEvent(new Event("captionstylechange"))
+    }
+
+    /**
+     * @returns {{size: number, color: string, backgroundOpacity: number}}
+     */
+    get captionStyle() {
+        return this.#captions.style
+    }
+
+    /**
+     * Replaces the main video's sources to play ads instead, keeping them for exitAdMode
+     */
+    enterAdMode() {
+        if (this.adMode) return
+        this.#adSavedSources = this.#videoSources.map(source => ({url: new URL(source.src), type: source.type}))
+        this.#adSavedEngine = this.#engine
+        this.#engine = null
+        this.#adSavedEngine?.detach()
+        this.#container.classList.add("ad-mode")
+        this.#controlsElements.timeSlider.locked = true
+    }
+
+    /**
+     * Switches the video to the provided ad
+     * @param ad {{offset: number|string, sources: {url: URL, type: string}[], skipAfter: number|null, clickUrl: URL|undefined}}
+     * @param index {number} The ad's index within its ad break
+     * @param count {number} The ad count of the ad break
+     */
+    showAd(ad, index, count) {
+        if (!this.adMode) throw new Error("Not in the ad mode")
+        this.#currentAd = {ad, index, count}
+        this.resetVideo()
+        for (const source of ad.sources) this.addSource(source.url, source.type)
+        this.#video.load()
+        this.#video.playbackRate = 1 // Ads play at the normal speed, load() sets the user's one
+
+        this.#adElements.link.classList.toggle("show", Boolean(ad.clickUrl))
+        this.#adElements.skip.classList.remove("skippable")
+        this.#updateAdControls()
+    }
+
+    /**
+     * Puts the main video's sources back
+     * @param resumeTime {number} Where the main video continues
+     */
+    exitAdMode(resumeTime = 0) {
+        if (!this.adMode) return
+        const sources = this.#adSavedSources, engine = this.#adSavedEngine
+        this.#adSavedSources = null
+        this.#adSavedEngine = null
+        this.#currentAd = null
+        this.resetVideo()
+        if (engine) this.setEngine(engine, resumeTime)
+        else {
+            for (const source of sources) this.addSource(source.url, source.type)
+            this.#video.load()
+            // Before the metadata is loaded, this sets the position the video will start playing from
+            this.#video.currentTime = resumeTime
+        }
+
+        this.#container.classList.remove("ad-mode")
+        this.#controlsElements.timeSlider.locked = false
+        this.#video.playbackRate = this.#video.defaultPlaybackRate
+    }
+
+    /**
+     * Whether an ad break is being played
+     * @returns {boolean}
+     */
+    get adMode() {
+        return this.#adSavedSources !== null
+    }
+
+    /**
+     * @param url {URL|string}
+     * @param progress {number} How much of the video was watched, from 0 to 1, 0 hides the progress bar
+     */
+    showThumbnail(url, progress = 0) {
+        this.#thumbnailImg.src = url.toString()
+        this.#thumbnail.style.setProperty("--thumbnail-progress", String(progress))
+        this.#thumbnail.classList.toggle("watched", progress > 0)
+        this.#thumbnail.classList.add("show")
+    }
+
+    hideThumbnail() {
+        this.#thumbnail.classList.remove("show")
+    }
+
+    /**
+     * Whether the thumbnail is shown instead of the video, which means it wasn't started yet
+     * @returns {boolean}
+     */
+    get thumbnailShown() {
+        return this.#thumbnail.classList.contains("show")
+    }
+
+    allowVideoInfo(allow) {
+        this.#videoInfoAllowed = allow
+        this.#showAndHideControlsAndVideoInfo()
+    }
+
+    /**
+     * @param info {OpenVideoPlayerVideoInfo}
+     */
+    updateVideoInfo(info) {
+        console.log("New video info, update video info elements:", info)
+
+        this.#videoInfoElements.author.classList.toggle("link", Boolean(info.author.profileUrl))
+        this.#videoInfoElements.author.classList.toggle("has-picture", Boolean(info.author.profilePicture))
+        if (info.author.profilePicture) this.#videoInfoElements.authorPicture.src = info.author.profilePicture.href
+        else this.#videoInfoElements.authorPicture.removeAttribute("src")
+        this.#videoInfoElements.authorName.innerText = info.author.name
+        this.#videoInfoElements.mainTitle.innerText = info.title
+        this.#videoInfoElements.subtitle.innerText = info.subtitle || ""
+        this.#updateDescription(info)
+    }
+
+    #createDescription() {
+        // Container
+        this.#descriptionElements = {}
+        const root = this.#descriptionElements.root = document.createElement("div")
+        root.classList.add("description")
+        root.addEventListener("click", e => {
+            e.stopPropagation()
+            this.hideDescription()
+        })
+
+        const panel = document.createElement("div")
+        panel.classList.add("description-panel")
+        panel.addEventListener("click", e => e.stopPropagation()) // Only clicks around it close it
+        const title = this.#descriptionElements.title = document.createElement("div")
+        title.classList.add("description-title")
+        const metadata = this.#descriptionElements.metadata = document.createElement("div")
+        metadata.classList.add("description-metadata")
+        const text = this.#descriptionElements.text = document.createElement("div")
+        text.classList.add("description-text")
+        const tags = this.#descriptionElements.tags = document.createElement("div")
+        tags.classList.add("description-tags")
+
+        // Finalize
+        panel.appendChild(title)
+        panel.appendChild(metadata)
+        panel.appendChild(text)
+        panel.appendChild(tags)
+        root.appendChild(panel)
+        this.#container.appendChild(root)
+    }
+
+    /**
+     * @param info {OpenVideoPlayerVideoInfo}
+     */
+    #updateDescription(info) {
+        this.hideDescription()
+        this.hideShare()
+        const locale = this.#locale
+        this.#descriptionElements.title.innerText = info.title
+
+        const metadata = []
+        if (info.views !== null) metadata.push(locale.message("description.views", {count: info.views}))
+        if (info.published) metadata.push(locale.formatDate(info.published))
+        this.#descriptionElements.metadata.replaceChildren(...metadata.map(item => {
+            const element = document.createElement("span")
+            element.innerText = item
+            return element
+        }))
+
+        this.#descriptionElements.text.replaceChildren(this.#linkify(info.description))
+        this.#descriptionElements.tags.replaceChildren(...info.tags.map(tag => {
+            const element = document.createElement("span")
+            element.classList.add("description-tag")
+            element.innerText = `#${tag}`
+            return element
+        }))
+    }
+
+    /**
+     * Turns the URLs in the text into links and its timestamps into buttons seeking there. Only text nodes are made
+     * from the text itself, so it can't inject any HTML.
+     * @param text {string}
+     * @returns {DocumentFragment}
+     */
+    #linkify(text) {
+        const fragment = document.createDocumentFragment()
+        let last = 0
+        // URLs first, so the ports in them aren't taken for timestamps. Trailing punctuation ends a sentence.
+        for (const match of text.matchAll(/(https?:\/\/[^\s<>"]+[^\s<>".,;:!?)\]'])|(?<![\w:])((?:\d+:)?\d{1,2}:\d{2})(?![\w:])/g)) {
+            let element = null
+            if (match[1]) {
+                let url
+                try {
+                    url = new URL(match[1])
+                } catch (e) {
+                    continue // Left as text
+                }
+                element = document.createElement("a")
+                element.classList.add("description-link")
+                element.href = url.href
+                element.rel = "noreferrer"
+                element.target = "_blank"
+                element.addEventListener("click", e => {
+                    e.preventDefault()
+                    OpenVideoPlayerUtils.openLinkInNewTab(url, this.#locale)
+                })
+            } else {
+                const seconds = OpenVideoPlayerUtils.parseTime(match[2])
+                if (isNaN(seconds)) continue
+                element = document.createElement("button")
+                element.classList.add("description-timestamp")
+                element.addEventListener("click", () => {
+                    this.hideDescription()
+                    this.setTime(seconds)
+                })
+            }
+            element.innerText = match[0]
+            fragment.append(text.slice(last, match.index), element)
+            last = match.index + match[0].length
+        }
+        fragment.append(text.slice(last))
+        return fragment
+    }
+
+    #createShare() {
+        // Container
+        this.#shareElements = {}
+        const locale = this.#locale
+        const root = this.#shareElements.root = document.createElement("div")
+        root.classList.add("share")
+        root.addEventListener("click", e => {
+            e.stopPropagation()
+            this.hideShare()
+        })
+
+        const panel = document.createElement("div")
+        panel.classList.add("share-panel")
+        panel.addEventListener("click", e => e.stopPropagation()) // Only clicks around it close it
+        const title = document.createElement("div")
+        title.classList.add("share-title")
+        title.innerText = locale.message("share.title")
+        panel.appendChild(title)
+
+        // The link
+        const url = this.#shareElements.url = document.createElement("input")
+        url.classList.add("share-url")
+        url.readOnly = true
+        panel.appendChild(this.#createShareField(url))
+        const start = this.#createShareOption(panel)
+        this.#shareElements.start = start.input
+        this.#shareElements.startLabel = start.text
+
+        // The embed code
+        const embedTitle = document.createElement("div")
+        embedTitle.classList.add("share-title")
+        embedTitle.innerText = locale.message("share.embed")
+        panel.appendChild(embedTitle)
+        const embed = this.#shareElements.embed = document.createElement("textarea")
+        embed.classList.add("share-embed")
+        embed.readOnly = true
+        embed.rows = 3
+        panel.appendChild(this.#createShareField(embed))
+        const embedStart = this.#createShareOption(panel)
+        this.#shareElements.embedStart = embedStart.input
+        this.#shareElements.embedStartLabel = embedStart.text
+        this.#shareElements.embedAutoplay = this.#createShareOption(panel, locale.message("share.autoplay")).input
+        const embedControls = this.#shareElements.embedControls = this.#createShareOption(panel, locale.message("share.controls")).input
+        embedControls.checked = true
+
+        // Finalize
+        root.appendChild(panel)
+        this.#container.appendChild(root)
+    }
+
+    /**
+     * @param field {HTMLInputElement|HTMLTextAreaElement}
+     * @returns {HTMLDivElement} The field with its copy button
+     */
+    #createShareField(field) {
+        const row = document.createElement("div")
+        row.classList.add("share-field")
+        field.addEventListener("focus", () => field.select())
+        const copy = document.createElement("button")
+        copy.classList.add("share-copy")
+        copy.innerText = this.#locale.message("share.copy")
+        copy.addEventListener("click", async () => {
+            try {
+                await navigator.clipboard.writeText(field.value)
+                copy.innerText = this.#locale.message("share.copied")
+                setTimeout(() => copy.innerText = this.#locale.message("share.copy"), 2000)
+            } catch (e) {
+                field.select() // The user can copy it then
+            }
+        })
+        row.appendChild(field)
+        row.appendChild(copy)
+        return row
+    }
+
+    /**
+     * @param panel {HTMLDivElement}
+     * @param text {string}
+     * @returns {{input: HTMLInputElement, text: HTMLSpanElement}}
+     */
+    #createShareOption(panel, text = "") {
+        const label = document.createElement("label")
+        label.classList.add("share-option")
+        const input = document.createElement("input")
+        input.type = "checkbox"
+        input.addEventListener("change", () => this.#updateShare())
+        const span = document.createElement("span")
+        span.innerText = text
+        label.appendChild(input)
+        label.appendChild(span)
+        panel.appendChild(label)
+        return {input, text: span}
+    }
+
+    /**
+     * Generates the link and the embed code from the options
+     */
+    #updateShare() {
+        const elements = this.#shareElements
+        const info = this.#player.currentVideo
+        const time = Math.floor(this.adMode ? 0 : this.#video.currentTime)
+        /**
+         * @param base {URL|null}
+         * @param parameters {Object<string, string|null>} Null removes one
+         * @returns {URL}
+         */
+        const link = (base, parameters) => {
+            const url = new URL(base ?? location.href)
+            if (/^#t=/.test(url.hash)) url.hash = ""
+            for (const [name, value] of Object.entries(parameters)) {
+                if (value === null) url.searchParams.delete(name)
+                else url.searchParams.set(name, value)
+            }
+            return url
+        }
+        const escape = text => text.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+
+        const startAt = this.#locale.message("share.startAt", {time: this.#locale.formatTime(time)})
+        elements.startLabel.innerText = startAt
+        elements.embedStartLabel.innerText = startAt
+        elements.url.value = link(info?.url, {t: elements.start.checked ? String(time) : null, autoplay: null, controls: null}).href
+        const src = link(info?.embedUrl ?? info?.url, {
+            t: elements.embedStart.checked ? String(time) : null,
+            autoplay: elements.embedAutoplay.checked ? "1" : null,
+            controls: elements.embedControls.checked ? null : "0"
+        })
+        elements.embed.value = `<iframe width="560" height="315" src="${escape(src.href)}" title="${escape(info?.title ?? "")}" ` +
+            `frameborder="0" allow="autoplay; fullscreen; picture-in-picture; clipboard-write" allowfullscreen></iframe>`
+    }
+
+    showShare() {
+        this.#updateShare()
+        this.#shareElements.root.classList.add("show")
+    }
+
+    hideShare() {
+        this.#shareElements.root.classList.remove("show")
+    }
+
+    toggleShare() {
+        if (this.shareShown) this.hideShare()
+        else this.showShare()
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get shareShown() {
+        return this.#shareElements.root.classList.contains("show")
+    }
+
+    /**
+     * Turns all the controls off, like for embeds with controls=0
+     * @param enabled {boolean}
+     */
+    set controlsEnabled(enabled) {
+        this.#container.classList.toggle("controls-disabled", !enabled)
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get controlsEnabled() {
+        return !this.#container.classList.contains("controls-disabled")
+    }
+
+    showDescription() {
+        this.#descriptionElements.root.classList.add("show")
+        this.#videoInfoElements.title.setAttribute("aria-expanded", "true")
+    }
+
+    hideDescription() {
+        this.#descriptionElements.root.classList.remove("show")
+        this.#videoInfoElements.title.setAttribute("aria-expanded", "false")
+    }
+
+    toggleDescription() {
+        if (this.descriptionShown) this.hideDescription()
+        else this.showDescription()
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get descriptionShown() {
+        return this.#descriptionElements.root.classList.contains("show")
+    }
+
+    /**
+     * Shows the previous and next buttons if the playlist has such videos
+     * @param playlist {OpenVideoPlayerPlaylist|null}
+     */
+    updatePlaylistControls(playlist) {
+        this.#controlsElements.previous.element.classList.toggle("hidden", !playlist?.hasPrevious)
+        this.#controlsElements.next.element.classList.toggle("hidden", !playlist?.hasNext)
+    }
+
+    playNext() {
+        this.hideEndScreen()
+        this.#player.playlist?.next()
+    }
+
+    /**
+     * Goes to the previous video, or back to the start if the current one has been playing for a while
+     */
+    playPrevious() {
+        if (this.#video.currentTime > 3 && !this.adMode) this.setTime(0)
+        else this.#player.playlist?.previous()
+    }
+
+    updatePausedControls() {
+        const paused = this.#video.paused
+        this.#controlsElements.playPause.index = Number(!paused)
+        this.#controlsElements.playPause.label = this.#locale.message(paused ? "button.play" : "button.pause")
+    }
+
+    updateVolumeControls() {
+        const muted = this.#video.muted,
+            volume = this.#video.volume
+        this.#controlsElements.volumeButton.index = (muted || volume === 0) ? 0 : (volume <= .5 ? 1 : 2)
+        this.#controlsElements.volumeButton.label = this.#locale.message(muted ? "button.unmute" : "button.mute")
+    }
+
+    showVolumeInfo(volume) {
+        this.#infosElements.volume.element.innerText = this.#locale.formatPercent(volume)
+        this.#infosElements.volume.show()
+        this.announce(this.#video.muted ? this.#locale.message("announce.muted") : this.#locale.message("announce.volume", {volume: this.#locale.formatPercent(volume)}))
+    }
+
+    showSpeedInfo(speed) {
+        this.#infosElements.speed.element.innerText = `${this.#locale.formatNumber(speed)}\u00d7`
+        this.#infosElements.speed.show()
+        this.announce(this.#locale.message("announce.speed", {speed: this.#infosElements.speed.element.innerText}))
+    }
+
+    showTimeInfo(seconds) {
+        /**
+         * @type {OpenVideoPlayerInfoBox}
+         */
+        const info = seconds < 0 ? this.#infosElements.back : this.#infosElements.forward
+        info.element.innerText = this.#locale.message(seconds > 0 ? "time.forward" : "time.back", {count: Math.abs(seconds)})
+        info.show()
+        this.announce(info.element.innerText)
+    }
+
+    setVolume(volume) {
+        if (this.video.muted) return
+        this.video.volume = volume
+        this.updateVolumeControls()
+    }
+
+    /**
+     * Changes the playback speed, which is kept when the source changes
+     * @param speed {number}
+     */
+    setSpeed(speed) {
+        const speeds = OpenVideoPlayerUI.SPEEDS
+        speed = Math.round(OpenVideoPlayerUtils.clamp(speed, speeds[0], speeds[speeds.length - 1]) * 100) / 100
+        // Loading a source resets the speed to the default one
+        this.#video.defaultPlaybackRate = speed
+        if (!this.adMode) this.#video.playbackRate = speed
+
+        this.#player.freezeControls()
+        this.#controlsElements.speedSlider.value = speed
+        this.#player.unfreezeControls()
+        this.#controlsElements.speedSliderValue.innerText = `${this.#locale.formatNumber(speed)}\u00d7`
+        this.#controlsElements.settingsMenu.setValue("speed", speed, this.#locale.formatNumber(speed))
+    }
+
+    /**
+     * Steps the speed to the next or previous one offered in the menu
+     * @param direction {number} 1 for faster, -1 for slower
+     */
+    changeSpeedBy(direction) {
+        const speeds = OpenVideoPlayerUI.SPEEDS, speed = this.speed
+        const next = direction > 0 ? speeds.find(s => s > speed) : speeds.findLast(s => s < speed)
+        if (next === undefined) return
+        this.setSpeed(next)
+        this.showSpeedInfo(next)
+    }
+
+    /**
+     * @returns {number}
+     */
+    get speed() {
+        return this.#video.defaultPlaybackRate
+    }
+
+    /**
+     * Whether sped up or slowed down audio keeps its pitch
+     * @returns {boolean}
+     */
+    get preservesPitch() {
+        return this.#controlsElements.preservePitch.classList.contains("selected")
+    }
+
+    /**
+     * @param preserve {boolean}
+     */
+    set preservesPitch(preserve) {
+        for (const property of ["preservesPitch", "mozPreservesPitch", "webkitPreservesPitch"]) {
+            if (property in this.#video) this.#video[property] = preserve
+        }
+        this.#controlsElements.preservePitch.classList.toggle("selected", preserve)
+    }
+
+    setTime(seconds) {
+        if (this.adMode) return
+        this.video.currentTime = seconds
+    }
+
+    async changeVolumeBy(percentage) {
+        if (this.video.muted) await this.toggleMuted()
+
+        /**
+         * @type {OpenVideoPlayerSlider}
+         */
+        const volume = this.#controlsElements.volumeSlider
+        volume.value += percentage / 100
+
+        this.updateVolumeControls()
+        this.showVolumeInfo(volume.value)
+    }
+
+    async changeTimeBy(seconds) {
+        if (this.adMode) return
+
+        /**
+         * @type {OpenVideoPlayerSlider}
+         */
+        const time = this.#controlsElements.timeSlider
+        time.value += seconds
+
+        this.updatePausedControls()
+        this.showTimeInfo(seconds)
+    }
+
+    async toggleFullscreen() {
+        if (!document.fullscreenElement) {
+            await this.container.requestFullscreen();
+        } else if (document.exitFullscreen) {
+            await document.exitFullscreen();
+        }
+    }
+
+    async togglePaused() {
+        if (this.video.paused) {
+            await this.video.play()
+        } else {
+            await this.video.pause()
+        }
+
+        this.updatePausedControls()
+    }
+
+    async toggleMuted() {
+        const volumeSlider = this.controlsElement("volumeSlider")
+
+        this.video.muted = !this.video.muted
+
+        if (this.video.muted) volumeSlider.value = 0// When muted, the slider should not show any volume
+        else volumeSlider.value = this.video.volume // When unmuted, the slider should sync again
+
+        this.updateVolumeControls()
+        this.showVolumeInfo(volumeSlider.value)
+    }
+
+    /**
+     * Adds a button to the left or right controls
+     * @param name {string}
+     * @param options {{icon: string, label: string, side: "left"|"right"|undefined, order: number|undefined}}
+     * The order is compared to the built-in controls' ones, the right controls are ordered from the right
+     * @returns {OpenVideoPlayerControlsButton} Listen to its click events
+     */
+    addControlButton(name, options) {
+        if (name in OpenVideoPlayerUI.CONTROLS || this.#customControls.has(name)) throw new Error(`Control "${name}" already exists`)
+        const side = options.side ?? "right"
+        if (side !== "left" && side !== "right") throw new Error(`Unknown controls side: ${side}`)
+
+        const button = new OpenVideoPlayerControlsButton(options.icon)
+        button.element.classList.add("custom-control", "controls-item")
+        button.element.dataset.control = name
+        button.label = options.label
+        button.element.style.order = String(options.order ?? 10)
+        OpenVideoPlayerUtils.setCSSSize(button.element)
+        this.#controlsElements[`${side}Controls`].appendChild(button.element)
+
+        this.#customControls.set(name, {button, menu: null})
+        return button
+    }
+
+    /**
+     * Adds a button that opens a menu, the menu's submenus and actions are added by the caller
+     * @param name {string}
+     * @param options {{icon: string, label: string, side: "left"|"right"|undefined, order: number|undefined}} See addControlButton
+     * @returns {OpenVideoPlayerMenu}
+     */
+    addControlMenu(name, options) {
+        const button = this.addControlButton(name, options)
+        const menu = new OpenVideoPlayerMenu("custom-menu")
+        menu.element.classList.add(options.side ?? "right")
+        menu.attachTo(button.element)
+        this.#controlsElements.root.appendChild(menu.element)
+
+        this.#customControls.get(name).menu = menu
+        return menu
+    }
+
+    /**
+     * Removes a control added through addControlButton or addControlMenu
+     * @param name {string}
+     */
+    removeControl(name) {
+        const control = this.#customControls.get(name)
+        if (!control) throw new Error(`No custom control called "${name}" found`)
+        control.button.element.remove()
+        control.menu?.element.remove()
+        control.menu?.destroy()
+        this.#customControls.delete(name)
+    }
+
+    /**
+     * Stops the timers and removes the listeners outside the player, see OpenVideoPlayer.destroy
+     */
+    destroy() {
+        this.hideEndScreen()
+        this.hideResumePrompt()
+        for (const name of ["timeSlider", "volumeSlider", "speedSlider"]) this.#controlsElements[name].destroy()
+        this.#controlsElements.settingsMenu.destroy()
+        for (const control of this.#customControls.values()) control.menu?.destroy()
+        this.#style.destroy()
+        OpenVideoPlayerUtils.removeCSSSize(this.#container)
+    }
+
+    /**
+     * @param name {string}
+     * @returns {HTMLElement}
+     */
+    #getControl(name) {
+        if (this.#customControls.has(name)) return this.#customControls.get(name).button.element
+        if (!(name in OpenVideoPlayerUI.CONTROLS)) throw new Error(`No control called "${name}" found`)
+        const control = this.#controlsElements[OpenVideoPlayerUI.CONTROLS[name]]
+        return control instanceof OpenVideoPlayerControlsButton ? control.element : control
+    }
+
+    /**
+     * Hides or shows a built-in or custom control. Built-in controls hidden by the player itself (like captions without any
+     * tracks) stay hidden.
+     * @param name {string}
+     * @param visible {boolean}
+     */
+    setControlVisible(name, visible) {
+        this.#getControl(name).classList.toggle("user-hidden", !visible)
+    }
+
+    /**
+     * Moves a built-in or custom control
+     * @param name {string}
+     * @param order {number}
+     */
+    setControlOrder(name, order) {
+        if (this.#customControls.has(name)) this.#getControl(name).style.order = String(order)
+        else {
+            this.#getControl(name) // Throws if there's no such control
+            this.#container.style.setProperty(`--controls-${name}-order`, String(order))
+        }
+    }
+
+    // Getters
+    get container() {
+        return this.#container
+    }
+
+    get style() {
+        return this.#style
+    }
+
+    get video() {
+        return this.#video
+    }
+
+    controlsElement(name) {
+        // I don't care if you get the prototype or whatever
+        // TODO Fix private property leak
+        return this.#controlsElements[name]
+    }
+}
+
+class OpenVideoPlayer extends EventTarget {
+    /**
+     * How many times sources are retried after network errors before falling back to the other ones
+     * @type {number}
+     */
+    static MAX_RETRIES = 3
+    /**
+     * Seconds before the first retry, doubled with each one
+     * @type {number}
+     */
+    static RETRY_DELAY = 1
+    /**
+     * How often the position is saved to the watch history while playing, in seconds
+     * @type {number}
+     */
+    static POSITION_SAVE_INTERVAL = 5
+    /**
+     * Positions closer to the start aren't offered to be resumed, in seconds
+     * @type {number}
+     */
+    static MIN_RESUME_TIME = 10
+
+    /**
+     * @type {OpenVideoPlayerUI}
+     */
+    #ui
+    /**
+     * @type {OpenVideoPlayerVideoInfo|null}
+     */
+    #currentVideo
+    /**
+     * If 0, the controls aren't frozen, otherwise they are. Get with controlsFrozen, change with freezeControls and unfreezeControls.
+     * @type {number}
+     */
+    #freezeControls
+    /**
+     * The current video's ad breaks, grouped by their offset
+     * @type {{offset: number|string, ads: Object[], played: boolean}[]}
+     */
+    #adBreaks
+    /**
+     * Stops the ad that is being played, if any
+     * @type {function|null}
+     */
+    #abortAd
+    /**
+     * The current video's qualities, the best one first. Streamed videos have the engine's variant index instead of sources.
+     * @type {{label: string, height: number|null, framerate: number|null, bandwidth: number|null, sources: Object[], variant: number|undefined}[]}
+     */
+    #qualities
+    /**
+     * The quality label picked by the user, null for auto
+     * @type {string|null}
+     */
+    #preferredQuality
+    /**
+     * @type {{label: string, height: number|null, framerate: number|null, sources: Object[]}|null}
+     */
+    #activeQuality
+    /**
+     * @type {number|null}
+     */
+    #autoQualityTimeout
+    /**
+     * The engine that streams the current video, if it has a stream source the browser can't play natively
+     * @type {OpenVideoPlayerStreamingEngine|null}
+     */
+    #engine
+    /**
+     * The adaptive bitrate algorithm, null if auto only follows the player size
+     * @type {OpenVideoPlayerABR|{addSample: function(number, number), choose: function(Object): {index: number, reason: string|null}}|null}
+     */
+    #abr
+    /**
+     * When the quality was last switched, from performance.now()
+     * @type {number}
+     */
+    #lastQualitySwitch
+    /**
+     * @type {number}
+     */
+    #lastAdaptiveCheck
+    /**
+     * The frame counters at the last check, null after a switch
+     * @type {{dropped: number, total: number}|null}
+     */
+    #frameStats
+    /**
+     * The ratio of frames dropped since the last check
+     * @type {number}
+     */
+    #droppedFrames
+    /**
+     * @type {OpenVideoPlayerPlaylist|null}
+     */
+    #playlist
+    /**
+     * The play options the playlist's videos are played with
+     * @type {{playImmediately: boolean, showVideoInfo: boolean}}
+     */
+    #playlistOptions
+    /**
+     * The play() call of the video the playlist selected last
+     * @type {Promise<void>}
+     */
+    #playlistLoading
+    /**
+     * Removes the listeners from the playlist once it's replaced
+     * @type {AbortController}
+     */
+    #playlistListeners
+    /**
+     * @type {OpenVideoPlayerKeymap}
+     */
+    #keymap
+    /**
+     * @type {OpenVideoPlayerLocale}
+     */
+    #locale
+    /**
+     * The URLs of the current video's sources that failed, they're skipped until retry() is called
+     * @type {Set<string>}
+     */
+    #failedSources
+    /**
+     * How many times the current sources were retried after network errors
+     * @type {number}
+     */
+    #retries
+    /**
+     * @type {number|null}
+     */
+    #retryTimeout
+    /**
+     * Where the video was when all its sources failed, retry() continues from there
+     * @type {number}
+     */
+    #failedTime
+    /**
+     * Watches the player (or its placeholder while it's the mini-player), null when the mini-player is off
+     * @type {IntersectionObserver|null}
+     */
+    #miniPlayerObserver
+    /**
+     * @type {ResizeObserver}
+     */
+    #resizeObserver
+    /**
+     * Removes the listeners on the window once the player is destroyed
+     * @type {AbortController}
+     */
+    #windowListeners
+    /**
+     * Whether the watched element is in view
+     * @type {boolean}
+     */
+    #inView
+    /**
+     * Where the user's settings are remembered, null if they aren't
+     * @type {OpenVideoPlayerPreferences|null}
+     */
+    #preferences
+    /**
+     * Where the videos were left, null if it isn't remembered
+     * @type {OpenVideoPlayerWatchHistory|null}
+     */
+    #watchHistory
+    /**
+     * When the position was last saved, from performance.now()
+     * @type {number}
+     */
+    #lastPositionSave
+    /**
+     * The t, autoplay and controls parameters of the page's URL, the first video is played with them
+     * @type {{time: number|null, autoplay: boolean, controls: boolean}}
+     */
+    #urlParameters
+
+    /**
+     * @param options {{abr: Object|null|undefined, keymap: OpenVideoPlayerKeymap|Object|false|undefined, miniPlayer: boolean|undefined, locale: OpenVideoPlayerLocale|string|undefined, preferences: OpenVideoPlayerPreferences|Object|boolean|undefined, watchHistory: OpenVideoPlayerWatchHistory|Object|boolean|undefined, urlParameters: boolean|undefined}}
+     * abr is the adaptive bitrate algorithm, see OpenVideoPlayerABR. keymap overrides the key bindings (see
+     * OpenVideoPlayerKeymap.DEFAULT_BINDINGS), false turns the shortcuts off. miniPlayer docks the playing video to a
+     * corner of the page when it's scrolled out of view. locale is the language of the player, the browser's one by
+     * default. preferences remembers the user's volume, speed, captions, quality and theme across page loads, true
+     * stores them in localStorage, an object has the options of OpenVideoPlayerPreferences. watchHistory remembers
+     * where the videos with an id were left and offers to resume them, it takes the same values. The first video starts
+     * at the page URL's t parameter like shared links have it, urlParameters: false ignores it. true also reads autoplay
+     * and controls like embed codes have them, for the embedUrl page.
+     */
+    constructor(options = {}) {
+        super()
+        this.#currentVideo = null
+        this.#freezeControls = 0
+        this.#adBreaks = []
+        this.#abortAd = null
+        this.#qualities = []
+        this.#preferredQuality = null
+        this.#activeQuality = null
+        this.#autoQualityTimeout = null
+        this.#engine = null
+        this.#abr = options.abr === undefined ? new OpenVideoPlayerABR() : options.abr
+        this.#lastQualitySwitch = 0
+        this.#lastAdaptiveCheck = 0
+        this.#frameStats = null
+        this.#droppedFrames = 0
+        this.#playlist = null
+        this.#playlistOptions = {playImmediately: true, showVideoInfo: true}
+        this.#playlistLoading = Promise.resolve()
+        this.#playlistListeners = new AbortController()
+        this.#failedSources = new Set()
+        this.#retries = 0
+        this.#retryTimeout = null
+        this.#failedTime = 0
+        this.#miniPlayerObserver = null
+        this.#inView = true
+        this.#locale = options.locale instanceof OpenVideoPlayerLocale ? options.locale : new OpenVideoPlayerLocale(options.locale)
+        this.#ui = new OpenVideoPlayerUI(this)
+        this.#ui.addEventListener("upnext", () => this.#playlist?.next())
+        if (options.keymap instanceof OpenVideoPlayerKeymap) this.#keymap = options.keymap
+        else {
+            this.#keymap = new OpenVideoPlayerKeymap(options.keymap || {})
+            this.#keymap.enabled = options.keymap !== false
+        }
+        this.#registerKeymapActions()
+
+        this.#ui.video.addEventListener("timeupdate", this.#onTimeUpdate.bind(this))
+        this.#ui.video.addEventListener("ended", this.#onEnded.bind(this))
+        this.#ui.video.addEventListener("timeupdate", this.#checkAdaptiveQuality.bind(this))
+        this.#forwardVideoEvents()
+        this.#ui.addEventListener("thumbnailclick", this.#onThumbnailClick.bind(this))
+        this.#ui.addEventListener("retry", this.retry.bind(this))
+        this.container.addEventListener("fullscreenchange", () => {
+            const fullscreen = document.fullscreenElement === this.container
+            this.#dispatchPlayerEvent("fullscreenchange", {fullscreen})
+            this.#updateMiniPlayer()
+        })
+        OpenVideoPlayerUtils.addEventListeners(this.#ui.video, ["play", "enterpictureinpicture", "leavepictureinpicture"], this.#updateMiniPlayer.bind(this))
+        this.#resizeObserver = new ResizeObserver(this.#onResize.bind(this))
+        this.#resizeObserver.observe(this.container)
+        this.#windowListeners = new AbortController()
+        this.miniPlayer = !!options.miniPlayer
+
+        if (options.preferences instanceof OpenVideoPlayerPreferences) this.#preferences = options.preferences
+        else if (options.preferences) this.#preferences = new OpenVideoPlayerPreferences(options.preferences === true ? {} : options.preferences)
+        else this.#preferences = null
+        this.#restorePreferences()
+        this.#savePreferences()
+
+        if (options.watchHistory instanceof OpenVideoPlayerWatchHistory) this.#watchHistory = options.watchHistory
+        else if (options.watchHistory) this.#watchHistory = new OpenVideoPlayerWatchHistory(options.watchHistory === true ? {} : options.watchHistory)
+        else this.#watchHistory = null
+        this.#lastPositionSave = 0
+        const video = this.#ui.video
+        video.addEventListener("timeupdate", () => this.#savePosition(false))
+        OpenVideoPlayerUtils.addEventListeners(video, ["pause", "ended"], () => this.#savePosition(true))
+        window.addEventListener("pagehide", () => this.#savePosition(true), {signal: this.#windowListeners.signal})
+
+        this.#urlParameters = options.urlParameters === false ? {time: null, autoplay: false, controls: true} : OpenVideoPlayer.#readUrlParameters(options.urlParameters === true)
+        this.#ui.controlsEnabled = this.#urlParameters.controls
+    }
+
+    /**
+     * Reads ?t= and #t=, and ?autoplay=1 and ?controls=0 on embed pages
+     * @param embed {boolean}
+     * @returns {{time: number|null, autoplay: boolean, controls: boolean}}
+     */
+    static #readUrlParameters(embed) {
+        const search = new URLSearchParams(location.search)
+        const hash = new URLSearchParams(location.hash.slice(1))
+        const time = search.get("t") ?? hash.get("t")
+        return {
+            time: time === null ? null : OpenVideoPlayer.#parseTimeParameter(time),
+            autoplay: embed && search.get("autoplay") === "1",
+            controls: !embed || search.get("controls") !== "0"
+        }
+    }
+
+    /**
+     * @param value {string} Seconds ("90", "90s"), with hours and minutes ("1h2m3s") or a time ("1:02:03")
+     * @returns {number|null} Null if it isn't a time
+     */
+    static #parseTimeParameter(value) {
+        if (value.includes(":")) return OpenVideoPlayerUtils.parseTime(value) || null
+        const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/.exec(value)
+        if (!value || !match) return null
+        const [, hours = 0, minutes = 0, seconds = 0] = match
+        return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)
+    }
+
+    /**
+     * Applies the remembered preferences, the caption language is applied with the next video's captions
+     */
+    #restorePreferences() {
+        if (!this.#preferences) return
+        const {volume, muted, speed, captionStyle, quality, theme} = this.#preferences.values
+        const ui = this.#ui, video = ui.video
+        if (typeof volume === "number") video.volume = OpenVideoPlayerUtils.clamp(volume, 0, 1)
+        if (typeof muted === "boolean") video.muted = muted
+        this.freezeControls()
+        ui.controlsElement("volumeSlider").value = video.muted ? 0 : video.volume // Muted shows no volume
+        this.unfreezeControls()
+        ui.updateVolumeControls()
+        if (typeof speed === "number") ui.setSpeed(speed)
+        if (captionStyle && typeof captionStyle === "object") ui.captionStyle = captionStyle
+        if (typeof quality === "string" || quality === null) this.#preferredQuality = quality
+        // Themes registered after the player was made are picked up by the next play() call
+        if (OpenVideoPlayerStyle.themes.includes(theme)) this.style.theme(theme)
+    }
+
+    /**
+     * Saves the current video's position every few seconds, or right away if forced
+     * @param force {boolean}
+     */
+    #savePosition(force) {
+        const id = this.#currentVideo?.id
+        if (!this.#watchHistory || !id) return
+        const ui = this.#ui, video = ui.video
+        if (ui.adMode || ui.thumbnailShown || !isFinite(video.duration)) return // Not started yet, or a live stream
+        if (ui.resumePromptShown) return // Would overwrite the position the user is being offered
+        if (!force && performance.now() - this.#lastPositionSave < OpenVideoPlayer.POSITION_SAVE_INTERVAL * 1000) return
+        this.#lastPositionSave = performance.now()
+        this.#watchHistory.save(id, video.ended ? video.duration : video.currentTime, video.duration)
+    }
+
+    /**
+     * Remembers the preferences whenever they change
+     */
+    #savePreferences() {
+        const ui = this.#ui, video = ui.video
+        const save = (name, value) => this.#preferences?.set(name, value)
+        video.addEventListener("volumechange", () => {
+            save("volume", video.volume)
+            save("muted", video.muted)
+        })
+        video.addEventListener("ratechange", () => save("speed", ui.speed)) // Not the ads' or long presses' rate
+        ui.addEventListener("captionlanguagechange", () => save("captionLanguage", ui.captionLanguage))
+        ui.addEventListener("captionstylechange", () => save("captionStyle", ui.captionStyle))
+        this.style.addEventListener("themechange", () => save("theme", this.style.currentTheme))
+    }
+
+    freezeControls() {
+        this.#freezeControls++
+    }
+
+    unfreezeControls() {
+        this.#freezeControls--
+    }
+
+    get controlsFrozen() {
+        return this.#freezeControls > 0
+    }
+
+    /**
+     * Dispatches the video's events from the player. Ads have their own events, so only play, pause and volumechange
+     * are dispatched during ad breaks. Errors are handled (and dispatched) by #onVideoError.
+     */
+    #forwardVideoEvents() {
+        const video = this.#ui.video
+        for (const type of ["play", "pause", "volumechange", "enterpictureinpicture", "leavepictureinpicture"]) {
+            video.addEventListener(type, () => this.#dispatchPlayerEvent(type))
+        }
+        for (const type of ["seeking", "seeked", "timeupdate", "ended"]) {
+            video.addEventListener(type, () => {
+                if (!this.#ui.adMode) this.#dispatchPlayerEvent(type)
+            })
+        }
+        video.addEventListener("error", this.#onVideoError.bind(this), true) // Capture, source errors don't bubble
+        video.addEventListener("playing", () => this.#retries = 0)
+    }
+
+    /**
+     * Dispatches an event with the current video and the playback state
+     * @param type {string}
+     * @param fields {Object} Additional fields of the event, like the error
+     * @param cancelable {boolean}
+     * @returns {boolean} False if the event was cancelled
+     */
+    #dispatchPlayerEvent(type, fields = {}, cancelable = false) {
+        const player = this
+        const video = this.#ui.video
+        const event = new class OpenVideoPlayerEvent extends Event {
+            videoInfo = player.#currentVideo
+            currentTime = video.currentTime
+            duration = video.duration
+            paused = video.paused
+            volume = video.volume
+            muted = video.muted
+            ad = player.#ui.adMode
+            target = player
+
+            constructor() {
+                super(type, {cancelable});
+            }
+        }
+        Object.assign(event, fields)
+        return this.dispatchEvent(event)
+    }
+
+    async #onThumbnailClick() {
+        // Cancelling the event keeps the thumbnail, like when the user has to agree to something first
+        if (!this.#dispatchPlayerEvent("thumbnailclick", {}, true)) return
+        await this.#startPlaying()
+    }
+
+    /**
+     * Registers the built-in actions of the keymap
+     */
+    #registerKeymapActions() {
+        const ui = this.#ui, keymap = this.#keymap, locale = this.#locale
+        const timeSlider = ui.controlsElement("timeSlider")
+        keymap.registerAction("togglePaused", locale.message("action.togglePaused"), () => ui.togglePaused())
+        keymap.registerAction("seekBack10", locale.message("action.seekBack10"), () => ui.changeTimeBy(-10))
+        keymap.registerAction("seekForward10", locale.message("action.seekForward10"), () => ui.changeTimeBy(10))
+        keymap.registerAction("seekBack5", locale.message("action.seekBack5"), () => ui.changeTimeBy(-5))
+        keymap.registerAction("seekForward5", locale.message("action.seekForward5"), () => ui.changeTimeBy(5))
+        keymap.registerAction("previousChapter", locale.message("action.previousChapter"), () => ui.seekChapter(-1))
+        keymap.registerAction("nextChapter", locale.message("action.nextChapter"), () => ui.seekChapter(1))
+        keymap.registerAction("seekToStart", locale.message("action.seekToStart"), () => {
+            if (!ui.adMode) timeSlider.rawValue = 0
+        })
+        keymap.registerAction("seekToEnd", locale.message("action.seekToEnd"), () => {
+            if (!ui.adMode) timeSlider.rawValue = 1
+        })
+        keymap.registerAction("seekToPercentage", locale.message("action.seekToPercentage"), e => {
+            // Skipping to percentage of the video
+            if (!ui.adMode) timeSlider.rawValue = parseInt(e.code[e.code.length - 1]) / 10
+        })
+        keymap.registerAction("volumeUp", locale.message("action.volumeUp"), () => ui.changeVolumeBy(5))
+        keymap.registerAction("volumeDown", locale.message("action.volumeDown"), () => ui.changeVolumeBy(-5))
+        keymap.registerAction("toggleMuted", locale.message("action.toggleMuted"), () => ui.toggleMuted())
+        keymap.registerAction("toggleFullscreen", locale.message("action.toggleFullscreen"), () => ui.toggleFullscreen())
+        keymap.registerAction("toggleCaptions", locale.message("action.toggleCaptions"), () => ui.toggleCaptions())
+        keymap.registerAction("slower", locale.message("action.slower"), () => ui.changeSpeedBy(-1))
+        keymap.registerAction("faster", locale.message("action.faster"), () => ui.changeSpeedBy(1))
+        keymap.registerAction("previousVideo", locale.message("action.previousVideo"), () => ui.playPrevious())
+        keymap.registerAction("nextVideo", locale.message("action.nextVideo"), () => ui.playNext())
+        keymap.registerAction("showShortcuts", locale.message("action.showShortcuts"), () => ui.toggleShortcuts(keymap.shortcuts))
+    }
+
+    /**
+     * @param e {KeyboardEvent}
+     * @returns {Promise<void>}
+     */
+    async #onKeyDown(e) {
+        if (OpenVideoPlayerKeymap.isEditable(e.target)) return // Typing into a text field
+        if (e.code === "Escape" && this.#ui.shortcutsShown) {
+            this.#ui.hideShortcuts()
+            e.preventDefault()
+            return
+        }
+        if (e.code === "Escape" && this.#ui.descriptionShown) {
+            this.#ui.hideDescription()
+            e.preventDefault()
+            return
+        }
+        if (e.code === "Escape" && this.#ui.shareShown) {
+            this.#ui.hideShare()
+            e.preventDefault()
+            return
+        }
+        if (!this.#keymap.enabled) return
+
+        const action = this.#keymap.match(e)
+        if (!action) return
+        e.preventDefault()
+        await action.handler(e)
+    }
+
+    async #startPlaying() {
+        console.log("Starting playing...")
+        this.#ui.hideThumbnail()
+        const preRoll = this.#adBreaks.find(adBreak => !adBreak.played && adBreak.offset === "start")
+        if (preRoll && !await this.#playAdBreak(preRoll, this.#ui.video.currentTime)) return // Where it starts, like from a shared link
+        await this.#ui.video.play()
+        this.#ui.updatePausedControls()
+        this.#ui.updateVolumeControls()
+        this.#offerResume()
+    }
+
+    /**
+     * Offers to continue the current video from where it was left, if it wasn't finished
+     */
+    #offerResume() {
+        const id = this.#currentVideo?.id
+        const entry = id && this.#watchHistory?.get(id)
+        if (!entry || entry.finished || entry.time < OpenVideoPlayer.MIN_RESUME_TIME) return
+        if (this.#ui.video.currentTime >= OpenVideoPlayer.MIN_RESUME_TIME) return // Started elsewhere, like from a shared link
+        this.#ui.showResumePrompt(entry.time)
+    }
+
+    /**
+     * Resolves an ad break's offset to seconds of the main video
+     * @param offset {number|string}
+     * @returns {number} NaN if it can't be resolved yet
+     */
+    #resolveAdOffset(offset) {
+        const duration = this.#ui.video.duration
+        if (offset === "start") return 0
+        if (offset === "end") return Infinity
+        if (typeof offset === "number") return offset
+        return isFinite(duration) ? duration * parseFloat(offset) / 100 : NaN
+    }
+
+    async #onTimeUpdate() {
+        if (this.#ui.adMode || this.#ui.video.paused) return
+        const currentTime = this.#ui.video.currentTime
+        // If the user seeks over several mid-rolls, only the last one gets played
+        const due = this.#adBreaks.filter(adBreak => {
+            if (adBreak.played || adBreak.offset === "start" || adBreak.offset === "end") return false
+            return this.#resolveAdOffset(adBreak.offset) <= currentTime
+        })
+        if (!due.length) return
+        due.forEach(adBreak => adBreak.played = true)
+
+        try {
+            if (await this.#playAdBreak(due[due.length - 1], currentTime)) await this.#ui.video.play()
+        } catch (e) {
+            console.error("Failed to resume after an ad break:", e)
+        }
+        this.#ui.updatePausedControls()
+    }
+
+    async #onEnded() {
+        if (this.#ui.adMode) return
+        const postRoll = this.#adBreaks.find(adBreak => !adBreak.played && adBreak.offset === "end")
+        if (postRoll) {
+            try {
+                await this.#playAdBreak(postRoll, this.#ui.video.duration)
+            } catch (e) {
+                console.error("Failed to play the post-roll:", e)
+                return // The user starts the post-roll again, the video ends once more after it
+            }
+            this.#ui.updatePausedControls()
+        }
+
+        const playlist = this.#playlist
+        if (!playlist || playlist.current !== this.#currentVideo) return
+        if (playlist.repeat === "one") {
+            this.#ui.video.currentTime = 0
+            try {
+                await this.#ui.video.play()
+            } catch (e) {
+                console.error("Failed to repeat the video:", e)
+            }
+            this.#ui.updatePausedControls()
+        } else if (playlist.upNext) this.#ui.showEndScreen(playlist.upNext)
+    }
+
+    /**
+     * Plays all the ads of the ad break, then puts the main video back at the resume time, paused
+     * @param adBreak {{offset: number|string, ads: Object[], played: boolean}}
+     * @param resumeTime {number}
+     * @returns {Promise<boolean>} False if the ad break was aborted
+     */
+    async #playAdBreak(adBreak, resumeTime = 0) {
+        adBreak.played = true
+        this.#ui.enterAdMode()
+        try {
+            for (let i = 0; i < adBreak.ads.length; i++) {
+                await this.#playAd(adBreak.ads[i], i, adBreak.ads.length)
+                if (!this.#ui.adMode) return false // Aborted by playing another video
+            }
+        } catch (e) {
+            // Most probably an autoplay rejection, let the user start the break again
+            adBreak.played = false
+            this.#exitAdBreak(resumeTime)
+            throw e
+        }
+        this.#exitAdBreak(resumeTime)
+        return true
+    }
+
+    #exitAdBreak(resumeTime) {
+        this.#ui.exitAdMode(resumeTime)
+        this.#applyQuality() // In case it was changed during the ad break
+    }
+
+    /**
+     * Plays a single ad, resolving once it's completed, skipped or failed
+     * @param ad {Object}
+     * @param index {number}
+     * @param count {number}
+     * @returns {Promise<void>}
+     */
+    async #playAd(ad, index, count) {
+        const video = this.#ui.video
+        this.#ui.showAd(ad, index, count)
+
+        let cleanup
+        const result = new Promise((resolve, reject) => {
+            const onEnded = () => resolve({type: "adcomplete", error: null})
+            const onSkip = () => resolve({type: "adskip", error: null})
+            const onError = e => {
+                // Source elements fire errors one by one, the ad failed only if the last one did
+                const sources = [...video.querySelectorAll("source")]
+                if (e.target !== video && e.target !== sources[sources.length - 1]) return
+                resolve({type: "aderror", error: video.error})
+            }
+            video.addEventListener("ended", onEnded)
+            video.addEventListener("error", onError, true) // Capture, source errors don't bubble
+            this.#ui.addEventListener("adskip", onSkip)
+            this.#abortAd = () => resolve(null)
+            cleanup = () => {
+                video.removeEventListener("ended", onEnded)
+                video.removeEventListener("error", onError, true)
+                this.#ui.removeEventListener("adskip", onSkip)
+                this.#abortAd = null
+            }
+
+            this.#dispatchAdEvent("adstart", ad, index, count)
+            video.play().catch(e => {
+                if (e.name === "NotAllowedError") reject(e) // Autoplay isn't allowed
+                else resolve({type: "aderror", error: video.error})
+            })
+        })
+
+        try {
+            const outcome = await result
+            if (outcome) this.#dispatchAdEvent(outcome.type, ad, index, count, outcome.error)
+        } finally {
+            cleanup()
+        }
+    }
+
+    /**
+     * @param type {"adstart"|"adskip"|"adcomplete"|"aderror"}
+     * @param ad {Object}
+     * @param index {number}
+     * @param count {number}
+     * @param error {MediaError|null}
+     */
+    #dispatchAdEvent(type, ad, index, count, error = null) {
+        const player = this
+        const video = this.#currentVideo
+        this.dispatchEvent(new class OpenVideoPlayerAdEvent extends Event {
+            ad = ad
+            index = index
+            count = count
+            error = error
+            videoInfo = video
+            target = player
+
+            constructor() {
+                super(type);
+            }
+        })
+    }
+
+    /**
+     * Plays a video according to its video info, with the provided options
+     * @param videoInfo {OpenVideoPlayerVideoInfo|VIDEO_INFO_OBJECT}
+     * @param playOptions {{playImmediately: boolean, showVideoInfo: boolean}}
+     * @template VIDEO_INFO_OBJECT {{title: string, subtitle: string|undefined, thumbnail: string, author: {name: string, profilePicture: string|undefined, profileUrl: string|undefined}, description: string, sources: {url: string, resolution: string|undefined, framerate: number|undefined, type: string}[]}}
+     * @returns {Promise<void>}
+     */
+    async play(videoInfo, playOptions) {
+        const previousVideoInfo = this.#currentVideo
+        const info = this.#currentVideo = videoInfo instanceof OpenVideoPlayerVideoInfo ? videoInfo : new OpenVideoPlayerVideoInfo(videoInfo)
+        // console.log("Play:", info)
+
+        if (this.#abortAd) this.#abortAd()
+        this.#ui.exitAdMode()
+        this.#ui.hideEndScreen()
+        this.#ui.hideError()
+        this.#ui.hideResumePrompt()
+        if (this.#retryTimeout !== null) clearTimeout(this.#retryTimeout)
+        this.#retryTimeout = null
+        this.#failedSources = new Set()
+        this.#retries = 0
+        this.#restorePreferences() // Another player may have changed them
+
+        // The first video starts where the shared link says
+        this.#loadSources(this.#urlParameters.time ?? 0)
+        if (this.#urlParameters.autoplay) playOptions = {...playOptions, playImmediately: true}
+        this.#urlParameters = {...this.#urlParameters, time: null, autoplay: false}
+        this.#lastQualitySwitch = performance.now()
+        this.#frameStats = null
+        this.#droppedFrames = 0
+        this.#updateQualityControls()
+        this.#ui.updateCaptionTracks(info.captions, this.#preferences?.get("captionLanguage"))
+        this.#ui.updateChapters(info.chapters)
+        this.#ui.updateStoryboard(info.storyboard)
+
+        this.#dispatchPlayerEvent("videochange", {previousVideoInfo})
+
+        // Group the ads into ad breaks
+        this.#adBreaks = []
+        for (const ad of info.ads) {
+            const adBreak = this.#adBreaks.find(adBreak => adBreak.offset === ad.offset)
+            if (adBreak) adBreak.ads.push(ad)
+            else this.#adBreaks.push({offset: ad.offset, ads: [ad], played: false})
+        }
+
+        if (playOptions.playImmediately) {
+            try {
+                await this.#startPlaying()
+            } catch (e) {
+                // If we're not allowed to autoplay the video, we'll show the thumbnail
+                playOptions.playImmediately = false
+                console.error("Autoplay failed:", e)
+            }
+        }
+        if (!playOptions.playImmediately) this.#ui.showThumbnail(info.thumbnail, info.id && this.#watchHistory ? this.#watchHistory.progress(info.id) : 0)
+
+        this.#ui.updateVideoInfo(info)
+        this.#ui.allowVideoInfo(playOptions.showVideoInfo)
+    }
+
+    /**
+     * Pauses the video (or the ad)
+     * @returns {Promise<void>}
+     */
+    async pause() {
+        this.#ui.video.pause()
+        this.#ui.updatePausedControls()
+    }
+
+    /**
+     * Continues playing, or starts the video if its thumbnail is shown (with the pre-roll ads, if any)
+     * @returns {Promise<void>} Rejected if the browser doesn't allow playing, like autoplay without user interaction
+     */
+    async resume() {
+        if (this.#ui.thumbnailShown) await this.#startPlaying()
+        else {
+            await this.#ui.video.play()
+            this.#ui.updatePausedControls()
+        }
+    }
+
+    /**
+     * Seeks the video
+     * @param time {number} In seconds
+     * @returns {Promise<void>} Resolved once the video is seeked
+     */
+    async seek(time) {
+        if (this.#ui.adMode) throw new Error("Ads can't be seeked")
+        const video = this.#ui.video
+        // Before the metadata is loaded, this only sets where the video starts
+        if (video.readyState === HTMLMediaElement.HAVE_NOTHING) {
+            this.#ui.setTime(time)
+            return
+        }
+        const seeked = new Promise(resolve => video.addEventListener("seeked", resolve, {once: true}))
+        this.#ui.setTime(time)
+        await seeked
+    }
+
+    /**
+     * Sets the volume, unmuting the video
+     * @param volume {number} From 0 to 1
+     * @returns {Promise<void>}
+     */
+    async setVolume(volume) {
+        volume = OpenVideoPlayerUtils.clamp(volume, 0, 1)
+        if (this.#ui.video.muted) await this.#ui.toggleMuted()
+        this.#ui.setVolume(volume)
+        this.freezeControls()
+        this.#ui.controlsElement("volumeSlider").value = volume
+        this.unfreezeControls()
+    }
+
+    /**
+     * @returns {number}
+     */
+    get currentTime() {
+        return this.#ui.video.currentTime
+    }
+
+    /**
+     * @returns {number} NaN before the metadata is loaded, Infinity for live streams
+     */
+    get duration() {
+        return this.#ui.video.duration
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get paused() {
+        return this.#ui.video.paused
+    }
+
+    /**
+     * @returns {number}
+     */
+    get volume() {
+        return this.#ui.video.volume
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get muted() {
+        return this.#ui.video.muted
+    }
+
+    /**
+     * Loads the current video's sources that didn't fail yet - the stream, or the sources of a quality
+     * @param startTime {number}
+     * @returns {boolean} False if all the sources failed
+     */
+    #loadSources(startTime = 0) {
+        const sources = this.#currentVideo.sources.filter(source => !this.#failedSources.has(source.url.href))
+        this.#ui.resetVideo()
+
+        const stream = this.#pickStreamSource(sources)
+        if (stream) {
+            // The qualities are the stream's variants, known once its manifest is loaded
+            this.#qualities = []
+            this.#activeQuality = null
+            const engine = this.#engine = OpenVideoPlayerStreamingEngine.create(stream.url, stream.type)
+            engine.addEventListener("variants", () => this.#onEngineVariants(engine))
+            engine.addEventListener("download", e => this.#abr?.addSample(e.download.bytes, e.download.duration))
+            engine.addEventListener("error", e => {
+                if (engine !== this.#engine) return
+                // Only failed downloads are retried, broken or unsupported streams fall back right away
+                let code = this.#ui.video.error?.code ?? MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED
+                if (e.error instanceof OpenVideoPlayerStreamingEngine.DownloadError) code = MediaError.MEDIA_ERR_NETWORK
+                this.#onSourcesFailed([stream], stream.url, code, e.error)
+            })
+            this.#ui.setEngine(engine, startTime)
+            return true
+        }
+
+        // Only the sources of a single quality are used at once
+        this.#engine = null
+        this.#qualities = OpenVideoPlayer.#groupQualities(sources)
+        this.#activeQuality = this.#pickQuality().quality || null
+        if (!this.#activeQuality) return false
+        for (const source of this.#activeQuality.sources) {
+            this.#ui.addSource(source.url, source.type)
+        }
+        this.#ui.video.load()
+        // Before the metadata is loaded, this sets the position the video will start playing from
+        if (startTime) this.#ui.video.currentTime = startTime
+        return true
+    }
+
+    /**
+     * @param e {Event}
+     */
+    #onVideoError(e) {
+        // Failed ads are skipped, the engine reports its errors itself
+        if (this.#ui.adMode || this.#engine || !this.#activeQuality) return
+        const video = this.#ui.video
+        const sources = this.#activeQuality.sources
+        if (e.target !== video) {
+            // Source elements fail one by one, the browser tries the next one by itself
+            const sourceElements = [...video.querySelectorAll("source")]
+            const last = e.target === sourceElements[sourceElements.length - 1]
+            const url = new URL(e.target.src), quality = this.#activeQuality
+            // Their errors don't tell failed downloads from unsupported formats
+            OpenVideoPlayer.#isReachable(url).then(reachable => {
+                if (quality !== this.#activeQuality) return // Reloaded in the meantime
+                const code = reachable ? MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED : MediaError.MEDIA_ERR_NETWORK
+                if (last) this.#onSourcesFailed(sources, url, code, null)
+                else this.#dispatchError(code, null, url, false, null)
+            })
+            return
+        }
+        const source = video.currentSrc ? new URL(video.currentSrc) : sources[0]?.url ?? null
+        this.#onSourcesFailed(sources, source, video.error?.code ?? MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED, video.error)
+    }
+
+    /**
+     * Whether the server responds to the URL at all. Cross-origin responses are opaque, so their status isn't known.
+     * @param url {URL}
+     * @returns {Promise<boolean>}
+     */
+    static async #isReachable(url) {
+        try {
+            const response = await fetch(url, {method: "HEAD", mode: "no-cors"})
+            return response.type === "opaque" || response.ok
+        } catch (e) {
+            return false
+        }
+    }
+
+    /**
+     * Retries the sources after network errors, otherwise (or after too many retries) falls back to the other sources.
+     * Shows the error if there aren't any.
+     * @param sources {{url: URL}[]} The sources that were being played
+     * @param source {URL|null} The one that failed
+     * @param code {number} The MediaError code
+     * @param error {MediaError|Error|null}
+     */
+    #onSourcesFailed(sources, source, code, error) {
+        // A failed engine keeps reporting errors until the retry reloads it
+        if (this.#retryTimeout !== null) return
+        const resumeTime = this.#ui.video.currentTime
+        const resume = !this.#ui.thumbnailShown
+
+        if (code === MediaError.MEDIA_ERR_NETWORK && this.#retries < OpenVideoPlayer.MAX_RETRIES) {
+            const delay = OpenVideoPlayer.RETRY_DELAY * 2 ** this.#retries++
+            this.#dispatchError(code, error, source, false, delay)
+            this.#retryTimeout = setTimeout(() => this.#reloadSources(resumeTime, resume), delay * 1000)
+            return
+        }
+
+        for (const failed of sources) this.#failedSources.add(failed.url.href)
+        this.#retries = 0
+        const fallback = this.#reloadSources(resumeTime, resume)
+        this.#dispatchError(code, error, source, !fallback, null)
+        if (fallback) return
+        this.#failedTime = resumeTime
+        this.#ui.showError(this.#errorMessage(code))
+    }
+
+    /**
+     * @param startTime {number}
+     * @param resume {boolean} Whether to play the video once it's loaded
+     * @returns {boolean} False if all the sources failed
+     */
+    #reloadSources(startTime, resume) {
+        this.#retryTimeout = null
+        const loaded = this.#loadSources(startTime)
+        this.#frameStats = null
+        this.#updateQualityControls()
+        if (loaded && resume) {
+            this.#ui.video.play()
+                .then(() => this.#ui.updatePausedControls())
+                .catch(e => console.error("Failed to resume after a source failed:", e))
+        }
+        return loaded
+    }
+
+    /**
+     * @param code {number} The MediaError code
+     * @param error {MediaError|Error|null}
+     * @param source {URL|null} The source that failed
+     * @param fatal {boolean} Whether all the sources failed, so the video can't be played
+     * @param retryIn {number|null} Seconds until the source is tried again, null if it isn't
+     */
+    #dispatchError(code, error, source, fatal, retryIn) {
+        this.#dispatchPlayerEvent("error", {error, code, source, fatal, retryIn})
+    }
+
+    /**
+     * Docks the player while it's playing out of view and puts it back once its place is scrolled to. It isn't docked
+     * in fullscreen or while the video is in picture-in-picture.
+     */
+    #updateMiniPlayer() {
+        if (!this.#miniPlayerObserver) return
+        const ui = this.#ui
+        const elsewhere = ui.pictureInPicture || !!document.fullscreenElement
+        if (ui.miniPlayerShown) {
+            if (this.#inView || elsewhere) this.#setMiniPlayerShown(false)
+        } else if (!this.#inView && !elsewhere && !ui.video.paused && this.container.isConnected) this.#setMiniPlayerShown(true)
+    }
+
+    /**
+     * @param shown {boolean}
+     */
+    #setMiniPlayerShown(shown) {
+        if (shown) this.#ui.showMiniPlayer()
+        else this.#ui.hideMiniPlayer()
+        // Watch whatever is in the player's place
+        this.#miniPlayerObserver.disconnect()
+        this.#miniPlayerObserver.observe(shown ? this.#ui.miniPlayerPlaceholder : this.container)
+        this.#dispatchPlayerEvent("miniplayerchange", {miniPlayer: shown})
+    }
+
+    /**
+     * Whether the player docks to a corner when it's scrolled out of view while playing
+     * @returns {boolean}
+     */
+    get miniPlayer() {
+        return this.#miniPlayerObserver !== null
+    }
 
-        // Bottom controls
-        const bottomControls = this.#controlsElements.bottomControls = document.createElement("div")
-        bottomControls.classList.add("bottom-controls")
+    /**
+     * @param enabled {boolean}
+     */
+    set miniPlayer(enabled) {
+        if (enabled === this.miniPlayer) return
+        if (enabled) {
+            this.#inView = true
+            this.#miniPlayerObserver = new IntersectionObserver(entries => {
+                this.#inView = entries[entries.length - 1].isIntersecting
+                this.#updateMiniPlayer()
+            })
+            this.#miniPlayerObserver.observe(this.container)
+        } else {
+            if (this.#ui.miniPlayerShown) this.#setMiniPlayerShown(false)
+            this.#miniPlayerObserver.disconnect()
+            this.#miniPlayerObserver = null
+        }
+    }
 
-        // Left controls
-        const leftControls = this.#controlsElements.leftControls = document.createElement("div")
-        leftControls.classList.add("left-controls")
-        // Play/pause
-        const playPause = this.#controlsElements.playPause = new OpenVideoPlayerControlsButton("play-pause")
-        playPause.element.classList.add("play-pause", "controls-item")
-        playPause.addEventListener("click", this.togglePaused.bind(this))
-        this.#video.addEventListener("click", this.togglePaused.bind(this))
-        this.updatePausedControls()
-        leftControls.appendChild(playPause.element)
-        // Volume
-        const volume = this.#controlsElements.volume = document.createElement("div")
-        volume.classList.add("volume", "controls-item")
-        OpenVideoPlayerUtils.setCSSSize(volume)
-        this.#video.addEventListener("volumechange", () => {
-            volume.classList.toggle("muted", this.#video.muted)
-        })
-        const volumeButton = this.#controlsElements.volumeButton = new OpenVideoPlayerControlsButton("volume")
-        volumeButton.element.classList.add("volume-button")
-        volumeButton.addEventListener("click", this.toggleMuted.bind(this))
-        // volume.addEventListener("click", this.#toggleMuted.bind(this))
-        const volumeSliderContainer = this.#controlsElements.volumeSliderContainer = document.createElement("div")
-        volumeSliderContainer.classList.add("volume-slider")
-        const volumeSlider = this.#controlsElements.volumeSlider = new OpenVideoPlayerSlider(volumeSliderContainer)
-        volumeSlider.range(0, 1, .05)
-        volumeSlider.addEventListener("change", e => {
-            if (this.#player.controlsFrozen) return // If the controls are frozen
-            if (e.ghostValue !== null) return // If the user is only moving the ghost slider
-            if (!e.valueHasChanged) return // If the user just left moving the ghost slider
-            if (this.#video.muted && e.value > 0) {
-                volumeSlider.value = 0
-                return
-            }
-            this.setVolume(e.value)
-        })
-        volumeSlider.addEventListener("resize", e => {
-            const bbox = rootBBox.value
-            volumeSliderContainer.style.setProperty("--slider-height", String(Number(bbox.height / 13).toPrecision(2)).concat("px"))
-            volumeSliderContainer.style.setProperty("--slider-thick-height", String(Number(bbox.height / 11).toPrecision(2)).concat("px"))
-        })
-        volumeSlider.value = 1 // Default value
-        this.updateVolumeControls()
-        volume.appendChild(volumeButton.element)
-        volume.appendChild(volumeSliderContainer)
-        leftControls.appendChild(volume)
+    /**
+     * Whether the player is docked as the mini-player
+     * @returns {boolean}
+     */
+    get miniPlayerShown() {
+        return this.#ui.miniPlayerShown
+    }
 
-        // Right controls
-        const rightControls = this.#controlsElements.rightControls = document.createElement("div")
-        rightControls.classList.add("right-controls")
-        // Fullscreen
-        const fullscreen = this.#controlsElements.fullscreen = new OpenVideoPlayerControlsButton("fullscreen")
-        fullscreen.element.classList.add("fullscreen", "controls-item")
-        fullscreen.addEventListener("click", this.toggleFullscreen.bind(this))
-        this.#video.addEventListener("dblclick", this.toggleFullscreen.bind(this))
-        rightControls.appendChild(fullscreen.element)
+    /**
+     * Pauses the video and hides the mini-player until the player is scrolled back to
+     */
+    closeMiniPlayer() {
+        this.#ui.closeMiniPlayer()
+    }
 
-        // Finalize bottom controls
-        bottomControls.appendChild(leftControls)
-        bottomControls.appendChild(rightControls)
+    /**
+     * Plays the video in the browser's picture-in-picture window, or brings it back
+     */
+    async togglePictureInPicture() {
+        await this.#ui.togglePictureInPicture()
+    }
 
-        // Finalize
-        root.appendChild(time)
-        root.appendChild(bottomControls);
-        [playPause, volumeButton, fullscreen].forEach(button => OpenVideoPlayerUtils.setCSSSize(button.element)) // CSS aspect ratio 1:1
+    /**
+     * The error overlay's message for a MediaError code
+     * @param code {number}
+     * @returns {string}
+     */
+    #errorMessage(code) {
+        if (![1, 2, 3, 4].includes(code)) code = MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED
+        return this.#locale.message(`error.${code}`)
+    }
 
-        this.#container.appendChild(root)
+    /**
+     * Tries all the current video's sources again, from where it failed
+     */
+    retry() {
+        if (!this.#currentVideo) return
+        if (this.#retryTimeout !== null) clearTimeout(this.#retryTimeout)
+        this.#failedSources.clear()
+        this.#retries = 0
+        this.#ui.hideError()
+        if (!this.#reloadSources(this.#failedTime, !this.#ui.thumbnailShown)) this.#ui.showError(this.#errorMessage(MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED))
     }
 
     /**
-     * Called to update the visibility of the controls and video info. Bad fn name, ik
-     * @param e {MouseEvent|null}
+     * Picks the stream source that needs a streaming engine, the browser plays the rest by itself
+     * @param sources {{url: URL, type: string, isStream: boolean}[]}
+     * @returns {{url: URL, type: string, isStream: boolean}|null}
      */
-    #showAndHideControlsAndVideoInfo(e = null) {
-        if (this.#hideControlsAndVideoInfoTimeout) {
-            clearTimeout(this.#hideControlsAndVideoInfoTimeout)
-            this.#hideControlsAndVideoInfoTimeout = null
+    #pickStreamSource(sources) {
+        if (!OpenVideoPlayerStreamingEngine.supported) return null
+        // Native support (like HLS in Safari) is preferred
+        return sources.find(source => source.isStream && !this.#ui.video.canPlayType(source.type)) || null
+    }
+
+    #onEngineVariants(engine) {
+        if (engine !== this.#engine) return
+        const labels = new Set()
+        this.#qualities = engine.variants.map((variant, index) => {
+            let label = OpenVideoPlayer.#qualityLabel(variant.height, variant.framerate, `${Math.round(variant.bandwidth / 1000)} kbps`)
+            if (labels.has(label)) label += ` (${Math.round(variant.bandwidth / 1000)} kbps)`
+            labels.add(label)
+            return {label, height: variant.height, framerate: variant.framerate, bandwidth: variant.bandwidth, sources: [], variant: index}
+        }).sort((a, b) => (b.height ?? -1) - (a.height ?? -1) || engine.variants[b.variant].bandwidth - engine.variants[a.variant].bandwidth)
+        this.#activeQuality = null
+        this.#applyQuality()
+    }
+
+    /**
+     * @param height {number|null}
+     * @param framerate {number|null}
+     * @param fallback {string} Used if the height isn't known
+     * @returns {string} Like 1080p60
+     */
+    static #qualityLabel(height, framerate, fallback) {
+        let label = height !== null ? `${height}p` : fallback
+        if (framerate && framerate > 30) label += Math.round(framerate)
+        return label
+    }
+
+    /**
+     * Groups the sources by their resolution and framerate, sorting them from the best one
+     * @param sources {{url: URL, resolution: string|undefined, framerate: number|undefined, type: string}[]}
+     * @returns {{label: string, height: number|null, framerate: number|null, bandwidth: null, sources: Object[]}[]}
+     */
+    static #groupQualities(sources) {
+        const qualities = []
+        for (const source of sources) {
+            const resolution = source.resolution ? String(source.resolution) : ""
+            let height = null
+            if (/^\d+p/i.test(resolution)) height = parseInt(resolution)
+            else if (/^\d+\s*x\s*\d+$/i.test(resolution)) height = parseInt(resolution.split(/x/i)[1])
+            else if (/^\d+k$/i.test(resolution)) height = parseInt(resolution) * 540 // 4K -> 2160p
+            const framerate = source.framerate || null
+            const label = OpenVideoPlayer.#qualityLabel(height, framerate, resolution || "Default")
+
+            const quality = qualities.find(quality => quality.label === label)
+            if (quality) quality.sources.push(source)
+            else qualities.push({label, height, framerate, bandwidth: null, sources: [source]})
         }
+        return qualities.sort((a, b) => (b.height ?? -1) - (a.height ?? -1) || (b.framerate ?? 0) - (a.framerate ?? 0))
+    }
 
-        this.#controlsElements.root.classList.add("show")
-        this.#videoInfoElements.root.classList.toggle("show", this.#videoInfoAllowed)
+    /**
+     * Picks the preferred quality, or lets the adaptive bitrate algorithm pick one for auto
+     * @returns {{quality: Object|undefined, reason: "user"|"size"|"bandwidth"|"buffer"|"droppedframes"|null}}
+     */
+    #pickQuality() {
+        if (!this.#qualities.length) return {quality: undefined, reason: null}
+        const preferred = this.#qualities.find(quality => quality.label === this.#preferredQuality)
+        if (preferred) return {quality: preferred, reason: "user"}
+
+        const maxHeight = this.container.getBoundingClientRect().height * (window.devicePixelRatio || 1) || null
+        if (!this.#abr) {
+            const withHeight = this.#qualities.filter(quality => quality.height !== null)
+            if (!withHeight.length || !maxHeight) return {quality: this.#qualities[0], reason: "size"}
+            // The smallest quality that is big enough, or the biggest one
+            return {quality: withHeight.findLast(quality => quality.height >= maxHeight) || withHeight[0], reason: "size"}
+        }
 
-        const bbox1 = this.#controlsElements.rootBBox.value
-        const bbox2 = this.#videoInfoElements.rootBBox.value
-        // Cancel the hiding if the mouse is within the controls or video info
-        if (e && OpenVideoPlayerUtils.isPointWithinBBox(bbox1, e.clientX, e.clientY)) return
-        if (e && OpenVideoPlayerUtils.isPointWithinBBox(bbox2, e.clientX, e.clientY)) return
-        // Cancel the hiding if the video is paused
-        if (this.#video.paused) return
-        if (this.#controlsElements.timeSlider.sliding) return
-        if (this.#controlsElements.volumeSlider.sliding) return
-        this.#hideControlsAndVideoInfoTimeout = setTimeout(() => {
-            this.#controlsElements.root.classList.remove("show")
-            this.#videoInfoElements.root.classList.remove("show")
-        }, 1500)
+        const {index, reason} = this.#abr.choose({
+            qualities: this.#qualities.map(({label, height, bandwidth}) => ({label, height, bandwidth})),
+            current: this.#qualities.indexOf(this.#activeQuality),
+            maxHeight,
+            bufferAhead: this.#bufferAhead(),
+            droppedFrames: this.#droppedFrames,
+            sinceSwitch: (performance.now() - this.#lastQualitySwitch) / 1000
+        })
+        return {quality: this.#qualities[index] || this.#activeQuality || this.#qualities[0], reason}
     }
 
-    #createVideoInfo() {
-        this.#videoInfoElements = {}
-        const root = this.#videoInfoElements.root = document.createElement("div")
-        root.classList.add("video-info")
-        const rootBBox = this.#videoInfoElements.rootBBox = new OpenVideoPlayerUtils.CachedBBox(root)
+    /**
+     * Seconds buffered ahead of the current time
+     * @returns {number}
+     */
+    #bufferAhead() {
+        const video = this.#ui.video
+        const buffered = video.buffered
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) - .1 <= video.currentTime && video.currentTime <= buffered.end(i) + .1)
+                return Math.max(0, buffered.end(i) - video.currentTime)
+        }
+        return 0
+    }
 
-        // Left
-        const left = this.#videoInfoElements.left = document.createElement("div")
-        left.classList.add("left")
-        const author = this.#videoInfoElements.author = document.createElement("div")
-        author.classList.add("author")
-        author.addEventListener("click", () => {
-            if (this.#player.currentVideo.author.profileUrl)
-                OpenVideoPlayerUtils.openLinkInNewTab(this.#player.currentVideo.author.profileUrl)
+    #measureDroppedFrames() {
+        const video = this.#ui.video
+        if (!video.getVideoPlaybackQuality) return
+        const {droppedVideoFrames, totalVideoFrames} = video.getVideoPlaybackQuality()
+        // The counters start over when the video is reloaded
+        if (!this.#frameStats || totalVideoFrames < this.#frameStats.total) {
+            this.#frameStats = {dropped: droppedVideoFrames, total: totalVideoFrames}
+            return
+        }
+        const total = totalVideoFrames - this.#frameStats.total
+        if (total < 30) return // Too few frames to tell
+        this.#droppedFrames = (droppedVideoFrames - this.#frameStats.dropped) / total
+        this.#frameStats = {dropped: droppedVideoFrames, total: totalVideoFrames}
+    }
+
+    #updateQualityControls() {
+        // The preferred quality may come from a previous video that doesn't have it
+        const preferred = this.#qualities.some(quality => quality.label === this.#preferredQuality) ? this.#preferredQuality : null
+        this.#ui.updateQualities(this.#qualities, preferred, this.#activeQuality?.label ?? null)
+    }
+
+    /**
+     * Switches to the quality that should be played, keeping the playback state
+     */
+    #applyQuality() {
+        // An ad break restores the sources it replaced, the quality is applied after it
+        if (this.#ui.adMode) return
+        const {quality, reason} = this.#pickQuality()
+        if (quality && quality !== this.#activeQuality) this.#switchQuality(quality, reason)
+        else this.#updateQualityControls()
+    }
+
+    /**
+     * @param quality {Object}
+     * @param reason {string|null}
+     */
+    #switchQuality(quality, reason) {
+        const previous = this.#activeQuality
+        this.#activeQuality = quality
+        this.#lastQualitySwitch = performance.now()
+        this.#frameStats = null
+        this.#droppedFrames = 0
+        if (this.#engine) this.#engine.selectVariant(quality.variant)
+        else this.#ui.switchSources(quality.sources)
+        this.#updateQualityControls()
+        // Picking the first quality of a video isn't a switch
+        if (previous) this.#dispatchQualityChange(previous, reason)
+    }
+
+    #checkAdaptiveQuality() {
+        if (!this.#abr || this.#preferredQuality !== null || this.#qualities.length < 2) return
+        if (this.#ui.adMode || this.#ui.video.paused) return
+        // timeupdate fires several times a second, once a second is enough
+        const now = performance.now()
+        if (now - this.#lastAdaptiveCheck < 1000) return
+        this.#lastAdaptiveCheck = now
+
+        this.#measureDroppedFrames()
+        const {quality, reason} = this.#pickQuality()
+        if (quality && quality !== this.#activeQuality) this.#switchQuality(quality, reason)
+    }
+
+    /**
+     * @param previous {Object}
+     * @param reason {string|null}
+     */
+    #dispatchQualityChange(previous, reason) {
+        const player = this
+        const quality = this.#activeQuality
+        const auto = this.#preferredQuality === null
+        const bandwidthEstimate = this.#abr?.bandwidthEstimate ?? null
+        const video = this.#currentVideo
+        this.dispatchEvent(new class OpenVideoPlayerQualityChangeEvent extends Event {
+            quality = quality.label
+            previousQuality = previous.label
+            auto = auto
+            reason = reason
+            bandwidthEstimate = bandwidthEstimate
+            videoInfo = video
+            target = player
+
+            constructor() {
+                super("qualitychange");
+            }
         })
-        const authorName = this.#videoInfoElements.authorName = document.createElement("div")
-        authorName.classList.add("author-name")
-        OpenVideoPlayerUtils.setCSSSize(authorName)
-        author.appendChild(authorName)
-        left.appendChild(author)
+    }
 
-        // Right
-        const right = this.#videoInfoElements.right = document.createElement("div")
-        right.classList.add("right")
-        const title = this.#videoInfoElements.title = document.createElement("div")
-        title.classList.add("title")
-        const mainTitle = this.#videoInfoElements.mainTitle = document.createElement("div")
-        mainTitle.classList.add("main-title")
-        title.appendChild(mainTitle)
-        const subtitle = this.#videoInfoElements.subtitle = document.createElement("div")
-        subtitle.classList.add("subtitle")
-        title.appendChild(subtitle)
-        right.appendChild(title)
+    #onResize() {
+        if (this.#preferredQuality !== null || this.#qualities.length < 2) return
+        // Don't reload the video on every resize step
+        if (this.#autoQualityTimeout !== null) clearTimeout(this.#autoQualityTimeout)
+        this.#autoQualityTimeout = setTimeout(() => {
+            this.#autoQualityTimeout = null
+            this.#applyQuality()
+        }, 1000)
+    }
 
-        // TODO Add the video info containers etc.
+    /**
+     * Plays the quality with the label, or picks it automatically from the player size if null
+     * @param label {string|null}
+     */
+    setQuality(label) {
+        if (label !== null && !this.#qualities.find(quality => quality.label === label))
+            throw new Error(`Unknown quality "${label}"`)
+        this.#preferredQuality = label
+        this.#preferences?.set("quality", label)
+        this.#applyQuality()
+    }
 
-        // Finalize
-        root.appendChild(left)
-        root.appendChild(right)
-        this.#container.appendChild(root)
+    /**
+     * The qualities of the current video, the best one first
+     * @returns {{label: string, height: number|null, framerate: number|null}[]}
+     */
+    get qualities() {
+        return this.#qualities.map(({label, height, framerate}) => ({label, height, framerate}))
     }
 
     /**
-     * @param url {URL}
-     * @param type {string}
+     * The label of the quality that is being played
+     * @returns {string|null}
      */
-    addSource(url, type) {
-        const src = url.toString()
-        if (this.#videoSources.find(source => source.src === src)) throw new Error("Source already exists")
+    get quality() {
+        return this.#activeQuality?.label ?? null
+    }
 
-        const source = document.createElement("source")
-        source.classList.add("source")
-        source.src = src
-        source.type = type
-        this.#video.appendChild(source)
-        this.#videoSources.push(source)
-        this.#video.classList.remove("blank")
+    /**
+     * The playback speed, kept when the video changes
+     * @returns {number}
+     */
+    get speed() {
+        return this.#ui.speed
     }
 
-    removeSource(url, type) {
-        const src = url.toString()
-        const source = this.#videoSources.find(source => source.src === src)
-        if (!source || source.type !== type) throw new Error("Source doesn't exist")
-        this.#videoSources.splice(this.#videoSources.indexOf(source), 1)
-        this.#video.removeChild(source)
-        this.#videoSources.length || this.#video.classList.add("blank")
+    /**
+     * @param speed {number} From 0.25 to 2
+     */
+    set speed(speed) {
+        this.#ui.setSpeed(speed)
     }
 
-    resetVideo() {
-        this.#videoSources.forEach(source => this.removeSource(new URL(source.src), source.type))
+    /**
+     * Whether sped up or slowed down audio keeps its pitch
+     * @returns {boolean}
+     */
+    get preservesPitch() {
+        return this.#ui.preservesPitch
     }
 
-    showThumbnail(url) {
-        this.#thumbnailImg.src = url.toString()
-        this.#thumbnail.classList.add("show")
+    /**
+     * @param preserve {boolean}
+     */
+    set preservesPitch(preserve) {
+        this.#ui.preservesPitch = preserve
     }
 
-    hideThumbnail() {
-        this.#thumbnail.classList.remove("show")
+    /**
+     * Shows the captions in the language, or hides them if null
+     * @param language {string|null}
+     * @returns {Promise<void>}
+     */
+    async setCaptionLanguage(language) {
+        await this.#ui.setCaptionLanguage(language)
     }
 
-    allowVideoInfo(allow) {
-        this.#videoInfoAllowed = allow
-        this.#showAndHideControlsAndVideoInfo()
+    /**
+     * The caption tracks of the current video
+     * @returns {{language: string, label: string}[]}
+     */
+    get captions() {
+        return (this.#currentVideo?.captions ?? []).map(({language, label}) => ({language, label}))
     }
 
     /**
-     * @param info {OpenVideoPlayerVideoInfo}
+     * The language of the shown captions, null if they're off
+     * @returns {string|null}
      */
-    updateVideoInfo(info) {
-        console.log("New video info, update video info elements:", info)
-
-        this.#videoInfoElements.author.classList.toggle("link", info.author.profileUrl)
-        this.#videoInfoElements.authorName.innerText = info.author.name
-        this.#videoInfoElements.mainTitle.innerText = info.title
-        this.#videoInfoElements.subtitle.innerText = info.subtitle || ""
+    get captionLanguage() {
+        return this.#ui.captionLanguage
     }
 
-    updatePausedControls() {
-        const paused = this.#video.paused
-        this.#controlsElements.playPause.index = Number(!paused)
+    /**
+     * @returns {{size: number, color: string, backgroundOpacity: number}}
+     */
+    get captionStyle() {
+        return this.#ui.captionStyle
     }
 
-    updateVolumeControls() {
-        const muted = this.#video.muted,
-            volume = this.#video.volume
-        this.#controlsElements.volumeButton.index = (muted || volume === 0) ? 0 : (volume <= .5 ? 1 : 2)
+    /**
+     * Changes the caption style, the missing properties are kept
+     * @param style {{size: number|undefined, color: string|undefined, backgroundOpacity: number|undefined}}
+     */
+    set captionStyle(style) {
+        this.#ui.captionStyle = style
     }
 
-    showVolumeInfo(volume) {
-        this.#infosElements.volume.element.innerText = `${Math.round(volume * 100)}%`
-        this.#infosElements.volume.show()
+    /**
+     * Plays the playlist's videos one after another, starting with the one at the index
+     * @param playlist {OpenVideoPlayerPlaylist|(OpenVideoPlayerVideoInfo|Object)[]} A playlist or the videos to make one from
+     * @param playOptions {{playImmediately: boolean, showVideoInfo: boolean}} Used for the first video, the rest is played immediately
+     * @param index {number}
+     * @returns {Promise<void>}
+     */
+    async playPlaylist(playlist, playOptions, index = 0) {
+        if (!(playlist instanceof OpenVideoPlayerPlaylist)) playlist = new OpenVideoPlayerPlaylist(playlist)
+        if (playlist !== this.#playlist) {
+            this.clearPlaylist()
+            this.#playlist = playlist
+            const signal = this.#playlistListeners.signal
+            playlist.addEventListener("select", e => {
+                this.#playlistLoading = this.play(e.videoInfo, {...this.#playlistOptions})
+                this.#playlistLoading.catch(e => console.error("Failed to play the playlist's video:", e))
+            }, {signal})
+            playlist.addEventListener("update", () => this.#ui.updatePlaylistControls(playlist), {signal})
+        }
+
+        this.#playlistOptions = playOptions
+        playlist.jumpTo(index)
+        this.#playlistOptions = {...playOptions, playImmediately: true}
+        await this.#playlistLoading
     }
 
-    showTimeInfo(seconds) {
-        /**
-         * @type {OpenVideoPlayerInfoBox}
-         */
-        const info = seconds < 0 ? this.#infosElements.back : this.#infosElements.forward
-        info.element.innerText = `${seconds > 0 ? "+" : "-"} ${Math.abs(seconds)} second${(seconds === 1 || seconds === -1) ? "" : "s"}`
-        info.show()
+    /**
+     * The playlist being played, null if single videos are played
+     * @returns {OpenVideoPlayerPlaylist|null}
+     */
+    get playlist() {
+        return this.#playlist
     }
 
-    setVolume(volume) {
-        if (this.video.muted) return
-        this.video.volume = volume
-        this.updateVolumeControls()
+    /**
+     * Stops advancing through the playlist, the current video keeps playing
+     */
+    clearPlaylist() {
+        this.#playlistListeners.abort()
+        this.#playlistListeners = new AbortController()
+        this.#playlist = null
+        this.#ui.hideEndScreen()
+        this.#ui.updatePlaylistControls(null)
     }
 
-    setTime(seconds) {
-        this.video.currentTime = seconds
+    /**
+     * Stops the video with its downloads and removes the player from the page, with its listeners on the document and
+     * the window. It can't be used afterwards.
+     */
+    destroy() {
+        this.#savePosition(true)
+        if (this.#abortAd) this.#abortAd()
+        this.#ui.exitAdMode()
+        if (this.#retryTimeout !== null) clearTimeout(this.#retryTimeout)
+        this.#retryTimeout = null
+        if (this.#autoQualityTimeout !== null) clearTimeout(this.#autoQualityTimeout)
+        this.#autoQualityTimeout = null
+        this.clearPlaylist()
+        this.miniPlayer = false
+        this.#ui.video.pause()
+        this.#ui.resetVideo()
+        this.#ui.video.load() // Releases the media resource
+        this.#engine = null
+        this.#resizeObserver.disconnect()
+        this.#windowListeners.abort()
+        this.#ui.destroy()
+        this.container.remove()
     }
 
-    async changeVolumeBy(percentage) {
-        if (this.video.muted) await this.toggleMuted()
+    /**
+     * Jumps to the newest part of a live stream
+     */
+    seekToLiveEdge() {
+        this.#ui.seekToLiveEdge()
+    }
 
-        /**
-         * @type {OpenVideoPlayerSlider}
-         */
-        const volume = this.#controlsElements.volumeSlider
-        volume.value += percentage / 100
+    /**
+     * Adds a button to the controls, see OpenVideoPlayerUI.addControlButton
+     * @param name {string}
+     * @param options {{icon: string, label: string, side: "left"|"right"|undefined, order: number|undefined}}
+     * @returns {OpenVideoPlayerControlsButton}
+     */
+    addControlButton(name, options) {
+        return this.#ui.addControlButton(name, options)
+    }
 
-        this.updateVolumeControls()
-        this.showVolumeInfo(volume.value)
+    /**
+     * Adds a button that opens a menu, see OpenVideoPlayerUI.addControlMenu
+     * @param name {string}
+     * @param options {{icon: string, label: string, side: "left"|"right"|undefined, order: number|undefined}}
+     * @returns {OpenVideoPlayerMenu}
+     */
+    addControlMenu(name, options) {
+        return this.#ui.addControlMenu(name, options)
     }
 
-    async changeTimeBy(seconds) {
-        /**
-         * @type {OpenVideoPlayerSlider}
-         */
-        const time = this.#controlsElements.timeSlider
-        time.value += seconds
+    /**
+     * @param name {string}
+     */
+    removeControl(name) {
+        this.#ui.removeControl(name)
+    }
 
-        this.updatePausedControls()
-        this.showTimeInfo(seconds)
+    /**
+     * @param name {string} A built-in control (see OpenVideoPlayerUI.CONTROLS) or a custom one
+     * @param visible {boolean}
+     */
+    setControlVisible(name, visible) {
+        this.#ui.setControlVisible(name, visible)
     }
 
-    async toggleFullscreen() {
-        if (!document.fullscreenElement) {
-            await this.container.requestFullscreen();
-        } else if (document.exitFullscreen) {
-            await document.exitFullscreen();
-        }
+    /**
+     * @param name {string} A built-in control (see OpenVideoPlayerUI.CONTROLS) or a custom one
+     * @param order {number}
+     */
+    setControlOrder(name, order) {
+        this.#ui.setControlOrder(name, order)
     }
 
-    async togglePaused() {
-        if (this.video.paused) {
-            await this.video.play()
-        } else {
-            await this.video.pause()
-        }
+    /**
+     * Whether a live stream is being played
+     * @returns {boolean}
+     */
+    get live() {
+        return this.#ui.live
+    }
 
-        this.updatePausedControls()
+    /**
+     * @returns {HTMLDivElement}
+     */
+    get container() {
+        return this.#ui.container
     }
 
-    async toggleMuted() {
-        const volumeSlider = this.controlsElement("volumeSlider")
+    /**
+     * @returns {OpenVideoPlayerStyle}
+     */
+    get style() {
+        return this.#ui.style
+    }
 
-        this.video.muted = !this.video.muted
+    /**
+     * The keyboard shortcuts, actions can be rebound, added or turned off through it
+     * @returns {OpenVideoPlayerKeymap}
+     */
+    get keymap() {
+        return this.#keymap
+    }
 
-        if (this.video.muted) volumeSlider.value = 0// When muted, the slider should not show any volume
-        else volumeSlider.value = this.video.volume // When unmuted, the slider should sync again
+    /**
+     * The language of the player's texts, numbers and times
+     * @returns {OpenVideoPlayerLocale}
+     */
+    get locale() {
+        return this.#locale
+    }
 
-        this.updateVolumeControls()
-        this.showVolumeInfo(volumeSlider.value)
+    /**
+     * The remembered user's settings, null if the preferences option is off
+     * @returns {OpenVideoPlayerPreferences|null}
+     */
+    get preferences() {
+        return this.#preferences
     }
 
-    // Getters
-    get container() {
-        return this.#container
+    /**
+     * Where the videos were left, null if the watchHistory option is off
+     * @returns {OpenVideoPlayerWatchHistory|null}
+     */
+    get watchHistory() {
+        return this.#watchHistory
     }
 
-    get style() {
-        return this.#style
+    /**
+     * @returns {OpenVideoPlayerVideoInfo|null}
+     */
+    get currentVideo() {
+        return this.#currentVideo
     }
 
-    get video() {
-        return this.#video
+    // Proxies for the UI
+    onKeyDownProxy(e) {
+        return this.#onKeyDown(e)
     }
 
-    controlsElement(name) {
-        // I don't care if you get the prototype or whatever
-        // TODO Fix private property leak
-        return this.#controlsElements[name]
+    async startPlayingProxy() {
+        await this.#startPlaying()
     }
 }
 
-class OpenVideoPlayer extends EventTarget {
+/**
+ * The <open-video-player> element, a player described by its attributes and children instead of JavaScript
+ */
+class OpenVideoPlayerElement extends HTMLElement {
     /**
-     * @type {OpenVideoPlayerUI}
+     * @type {string[]}
      */
-    #ui
+    static observedAttributes = ["src", "type", "poster", "video-id", "video-title", "description", "author", "autoplay", "hide-video-info", "mini-player", "theme", "width", "height"]
     /**
-     * @type {OpenVideoPlayerVideoInfo|null}
+     * The attributes that change the video, it's played again when one of them does
+     * @type {string[]}
      */
-    #currentVideo
+    static VIDEO_ATTRIBUTES = ["src", "type", "poster", "video-id", "video-title", "description", "author"]
     /**
-     * If 0, the controls aren't frozen, otherwise they are. Get with controlsFrozen, change with freezeControls and unfreezeControls.
-     * @type {number}
+     * The types of sources without one, by their file extension. The rest are MP4 videos.
+     * @type {Object<string, string>}
      */
-    #freezeControls
+    static TYPES_BY_EXTENSION = {
+        m3u8: "application/x-mpegurl",
+        mpd: "application/dash+xml",
+        webm: "video/webm",
+        ogv: "video/ogg",
+        mp3: "audio/mpeg",
+        m4a: "audio/mp4"
+    }
+    /**
+     * The thumbnail of videos without a poster, a transparent pixel
+     * @type {string}
+     */
+    static BLANK_POSTER = "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7"
+
+    /**
+     * Null while the element isn't in the page
+     * @type {OpenVideoPlayer|null}
+     */
+    #player
+    /**
+     * Watches the child elements describing the video
+     * @type {MutationObserver|null}
+     */
+    #observer
+    /**
+     * Whether the video is about to be played again, changes made at once play it only once
+     * @type {boolean}
+     */
+    #loadQueued
 
     constructor() {
         super()
-        this.#currentVideo = null
-        this.#freezeControls = 0
-        this.#ui = new OpenVideoPlayerUI(this)
+        this.#player = null
+        this.#observer = null
+        this.#loadQueued = false
     }
 
-    freezeControls() {
-        this.#freezeControls++
+    connectedCallback() {
+        if (this.#player) return
+        this.#player = new OpenVideoPlayer({locale: this.getAttribute("locale") || undefined, miniPlayer: this.hasAttribute("mini-player")})
+        this.appendChild(this.#player.container)
+
+        // The parser may still be adding the children
+        this.#observer = new MutationObserver(records => {
+            const container = this.#player.container
+            const ownChange = record => record.target === this && [...record.addedNodes, ...record.removedNodes].every(node => node === container)
+            if (records.every(ownChange)) return
+            this.#observeChildren()
+            this.#queueLoad()
+        })
+        this.#observeChildren()
+        this.#queueLoad()
+        this.#applySize()
+        this.#applyTheme()
     }
 
-    unfreezeControls() {
-        this.#freezeControls--
+    disconnectedCallback() {
+        if (!this.#player) return
+        this.#observer.disconnect()
+        this.#observer = null
+        this.#player.destroy()
+        this.#player = null
     }
 
-    get controlsFrozen() {
-        return this.#freezeControls > 0
+    /**
+     * @param name {string}
+     * @param oldValue {string|null}
+     * @param newValue {string|null}
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.#player || oldValue === newValue) return
+        if (OpenVideoPlayerElement.VIDEO_ATTRIBUTES.includes(name)) this.#queueLoad()
+        else if (name === "theme") this.#applyTheme()
+        else if (name === "width" || name === "height") this.#applySize()
+        else if (name === "mini-player") this.#player.miniPlayer = newValue !== null
+        // autoplay and hide-video-info apply to the next video
     }
 
     /**
-     * @param e {KeyboardEvent}
-     * @returns {Promise<void>}
+     * The player inside, null while the element isn't in the page
+     * @returns {OpenVideoPlayer|null}
      */
-    async #onKeyDown(e) {
-        const timeSlider = this.#ui.controlsElement("timeSlider")
-        let preventDefault = true
+    get player() {
+        return this.#player
+    }
 
-        switch (e.code) {
-            case "Space":
-            case "KeyK":
-                await this.#ui.togglePaused()
-                break
-            case "KeyF":
-                await this.#ui.toggleFullscreen()
-                break
-            case "KeyM":
-                await this.#ui.toggleMuted()
-                break
-            case "KeyJ":
-                await this.#ui.changeTimeBy(-10)
-                break
-            case "KeyL":
-                await this.#ui.changeTimeBy(10)
-                break
-            case "ArrowLeft":
-                await this.#ui.changeTimeBy(-5)
-                break
-            case "ArrowRight":
-                await this.#ui.changeTimeBy(5)
-                break
-            case "ArrowUp":
-                await this.#ui.changeVolumeBy(5)
-                break
-            case "ArrowDown":
-                await this.#ui.changeVolumeBy(-5)
-                break
-            case "Home":
-                timeSlider.rawValue = 0
-                break
-            case "End":
-                timeSlider.rawValue = 1
-                break
-            case "Numpad0":
-            case "Numpad1":
-            case "Numpad2":
-            case "Numpad3":
-            case "Numpad4":
-            case "Numpad5":
-            case "Numpad6":
-            case "Numpad7":
-            case "Numpad8":
-            case "Numpad9":
-            case "Digit0":
-            case "Digit1":
-            case "Digit2":
-            case "Digit3":
-            case "Digit4":
-            case "Digit5":
-            case "Digit6":
-            case "Digit7":
-            case "Digit8":
-            case "Digit9":
-                // Skipping to percentage of the video
-                timeSlider.rawValue = parseInt(e.key[e.key.length - 1]) / 10
-                break
-            default:
-                preventDefault = false
-                console.log("Key:", e.code, e)
-        }
-        if (preventDefault) e.preventDefault()
+    /**
+     * The video described by the inline JSON script, the attributes and the <source> and <track> children, which take
+     * precedence over the JSON. Null if it has no sources yet.
+     * @returns {OpenVideoPlayerVideoInfo|null}
+     */
+    get videoInfo() {
+        const script = this.querySelector(":scope > script[type='application/json']")
+        const json = script ? JSON.parse(script.textContent) : {}
+
+        const sources = Array.from(this.querySelectorAll(":scope > source"), source => ({
+            url: source.src,
+            type: source.type || OpenVideoPlayerElement.#guessType(source.src),
+            resolution: source.dataset.resolution || undefined,
+            framerate: source.dataset.framerate ? Number(source.dataset.framerate) : undefined
+        }))
+        const src = this.#urlAttribute("src")
+        if (src) sources.unshift({url: src, type: this.getAttribute("type") || OpenVideoPlayerElement.#guessType(src)})
+        const captions = Array.from(this.querySelectorAll(":scope > track"))
+            .filter(track => ["subtitles", "captions"].includes(track.getAttribute("kind") || "subtitles"))
+            .map(track => ({url: track.src, language: track.srclang, label: track.label || undefined}))
+
+        const info = {...json}
+        if (sources.length) info.sources = sources
+        if (!info.sources?.length) return null
+        if (captions.length) info.captions = captions
+        info.id = this.getAttribute("video-id") ?? info.id
+        info.title = this.getAttribute("video-title") || info.title || decodeURIComponent(new URL(info.sources[0].url).pathname.split("/").pop()) || location.hostname
+        info.description = this.getAttribute("description") || info.description || info.title
+        info.thumbnail = this.#urlAttribute("poster") || info.thumbnail || OpenVideoPlayerElement.BLANK_POSTER
+        const author = this.getAttribute("author")
+        info.author = author ? {...info.author, name: author} : info.author || {name: location.hostname || info.title}
+        return new OpenVideoPlayerVideoInfo(info)
     }
 
-    async #startPlaying() {
-        console.log("Starting playing...")
-        this.#ui.hideThumbnail()
-        await this.#ui.video.play()
-        this.#ui.updatePausedControls()
-        this.#ui.updateVolumeControls()
+    /**
+     * @param url {string}
+     * @returns {string}
+     */
+    static #guessType(url) {
+        const extension = new URL(url).pathname.split(".").pop().toLowerCase()
+        return OpenVideoPlayerElement.TYPES_BY_EXTENSION[extension] || "video/mp4"
     }
 
     /**
-     * Plays a video according to its video info, with the provided options
-     * @param videoInfo {OpenVideoPlayerVideoInfo|VIDEO_INFO_OBJECT}
-     * @param playOptions {{playImmediately: boolean, showVideoInfo: boolean}}
-     * @template VIDEO_INFO_OBJECT {{title: string, subtitle: string|undefined, thumbnail: string, author: {name: string, profilePicture: string|undefined, profileUrl: string|undefined}, description: string, sources: {url: string, resolution: string|undefined, framerate: number|undefined, type: string}[]}}
-     * @returns {Promise<void>}
+     * @param name {string}
+     * @returns {string|null} Resolved against the page
      */
-    async play(videoInfo, playOptions) {
-        const info = this.#currentVideo = videoInfo instanceof OpenVideoPlayerVideoInfo ? videoInfo : new OpenVideoPlayerVideoInfo(videoInfo)
-        // console.log("Play:", info)
+    #urlAttribute(name) {
+        const value = this.getAttribute(name)
+        return value ? new URL(value, document.baseURI).href : null
+    }
 
-        this.#ui.resetVideo()
+    #observeChildren() {
+        this.#observer.disconnect()
+        this.#observer.observe(this, {childList: true})
+        for (const child of this.querySelectorAll(":scope > source, :scope > track, :scope > script[type='application/json']"))
+            this.#observer.observe(child, {attributes: true, childList: true, characterData: true, subtree: true})
+    }
 
-        for (const source of info.sources) {
-            this.#ui.addSource(source.url, source.type)
-        }
+    #queueLoad() {
+        if (this.#loadQueued) return
+        this.#loadQueued = true
+        queueMicrotask(() => {
+            this.#loadQueued = false
+            if (this.#player) this.#load()
+        })
+    }
 
-        if (playOptions.playImmediately) {
-            try {
-                await this.#startPlaying()
-            } catch (e) {
-                // If we're not allowed to autoplay the video, we'll show the thumbnail
-                playOptions.playImmediately = false
-                console.error("Autoplay failed:", e)
-            }
+    #load() {
+        let info
+        try {
+            info = this.videoInfo
+        } catch (e) {
+            console.error("Invalid video info:", e)
+            return
         }
-        if (!playOptions.playImmediately) this.#ui.showThumbnail(info.thumbnail)
-
-        this.#ui.updateVideoInfo(info)
-        this.#ui.allowVideoInfo(playOptions.showVideoInfo)
+        if (!info) return
+        this.#player.play(info, {playImmediately: this.hasAttribute("autoplay"), showVideoInfo: !this.hasAttribute("hide-video-info")})
+            .catch(e => console.error("Failed to play the video:", e))
     }
 
-    /**
-     * @returns {HTMLDivElement}
-     */
-    get container() {
-        return this.#ui.container
+    #applyTheme() {
+        const themes = OpenVideoPlayerStyle.themes
+        let theme = this.getAttribute("theme") || themes[0]
+        if (!themes.includes(theme)) {
+            console.error(`Unknown theme "${theme}", using the default one`)
+            theme = themes[0]
+        }
+        this.#player.style.theme(theme)
     }
 
-    /**
-     * @returns {OpenVideoPlayerStyle}
-     */
-    get style() {
-        return this.#ui.style
+    #applySize() {
+        const width = this.getAttribute("width"), height = this.getAttribute("height")
+        if (width === null && height === null) this.#player.style.fill()
+        else this.#player.style.size(OpenVideoPlayerElement.#cssLength(width), OpenVideoPlayerElement.#cssLength(height))
     }
 
     /**
-     * @returns {OpenVideoPlayerVideoInfo|null}
+     * @param value {string|null} Pixels like the width of <video>, a CSS length or null
+     * @returns {string}
      */
-    get currentVideo() {
-        return this.#currentVideo
-    }
-
-    // Proxies for the UI
-    onKeyDownProxy(e) {
-        return this.#onKeyDown(e)
-    }
-
-    async startPlayingProxy() {
-        await this.#startPlaying()
+    static #cssLength(value) {
+        if (value === null) return "auto"
+        return /^\d+(\.\d+)?$/.test(value.trim()) ? `${value.trim()}px` : value
     }
 }
+
+if (window.customElements && !customElements.get("open-video-player")) customElements.define("open-video-player", OpenVideoPlayerElement)